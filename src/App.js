@@ -1,10 +1,23 @@
 // src/App.js
 import React from "react";
+import { BrowserRouter, Routes, Route, Navigate } from "react-router-dom";
 import Home from "./pages/Home";
 import "./App.css";
 
+// Every route renders the same Home page; the URL only selects what it shows
 function App() {
-  return <Home />;
+  return (
+    <BrowserRouter>
+      <Routes>
+        <Route path="/" element={<Home />} />
+        <Route path="/trip" element={<Home />} />
+        <Route path="/trip/:tripId" element={<Home />} />
+        <Route path="/trip/:tripId/day/:dayNumber" element={<Home />} />
+        <Route path="/trip/:tripId/day/:dayNumber/place/:placeNumber" element={<Home />} />
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
+    </BrowserRouter>
+  );
 }
 
 export default App;
@@ -0,0 +1,113 @@
+import React, { useState } from "react";
+
+const AddStopForm = ({ dayNumber, pickedLocation, picking, onStartPick, onSubmit, onCancel }) => {
+    const [name, setName] = useState("");
+    const [description, setDescription] = useState("");
+
+    const canSave = name.trim() && pickedLocation;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!canSave) return;
+        onSubmit({
+            name: name.trim(),
+            description: description.trim(),
+            lat: pickedLocation.lat,
+            lng: pickedLocation.lng,
+        });
+        setName("");
+        setDescription("");
+    };
+
+    return (
+        <form onSubmit={handleSubmit} style={styles.form}>
+            <div style={styles.title}>➕ Add a stop to Day {dayNumber}</div>
+            <input
+                type="text"
+                placeholder="Name *"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                style={styles.input}
+                required
+            />
+            <textarea
+                placeholder="Description (optional)"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                style={{ ...styles.input, minHeight: 60, resize: "vertical" }}
+            />
+            <div style={styles.locationRow}>
+                <button type="button" style={styles.pickBtn} onClick={onStartPick}>
+                    {picking ? "Click on the map…" : "📍 Pick on map"}
+                </button>
+                <span style={styles.coords}>
+                    {pickedLocation
+                        ? `${pickedLocation.lat.toFixed(5)}, ${pickedLocation.lng.toFixed(5)}`
+                        : "No location yet"}
+                </span>
+            </div>
+            <div style={styles.actions}>
+                <button type="submit" style={{ ...styles.saveBtn, opacity: canSave ? 1 : 0.5 }} disabled={!canSave}>
+                    Add stop
+                </button>
+                <button type="button" style={styles.cancelBtn} onClick={onCancel}>
+                    Cancel
+                </button>
+            </div>
+        </form>
+    );
+};
+
+const styles = {
+    form: {
+        display: "flex",
+        flexDirection: "column",
+        gap: 8,
+        marginTop: 12,
+        padding: 12,
+        borderRadius: 14,
+        background: "rgba(255,255,255,0.04)",
+        border: "1px solid rgba(255,255,255,0.12)",
+    },
+    title: { fontWeight: 800, fontSize: 14 },
+    input: {
+        padding: "10px 12px",
+        borderRadius: 10,
+        border: "1px solid rgba(255,255,255,0.18)",
+        background: "rgba(255,255,255,0.06)",
+        color: "#e9f0ff",
+        fontSize: 13,
+        fontFamily: "inherit",
+    },
+    locationRow: { display: "flex", alignItems: "center", gap: 10 },
+    pickBtn: {
+        padding: "8px 12px",
+        borderRadius: 10,
+        border: "1px solid rgba(78,205,196,0.6)",
+        background: "rgba(78,205,196,0.12)",
+        color: "#e9f0ff",
+        cursor: "pointer",
+        fontSize: 12,
+    },
+    coords: { fontSize: 12, opacity: 0.75 },
+    actions: { display: "flex", gap: 8 },
+    saveBtn: {
+        padding: "8px 14px",
+        borderRadius: 10,
+        border: "none",
+        background: "linear-gradient(135deg, rgba(63,81,181,0.95), rgba(33,150,243,0.95))",
+        color: "#fff",
+        fontWeight: 700,
+        cursor: "pointer",
+    },
+    cancelBtn: {
+        padding: "8px 14px",
+        borderRadius: 10,
+        border: "1px solid rgba(255,255,255,0.18)",
+        background: "transparent",
+        color: "#e9f0ff",
+        cursor: "pointer",
+    },
+};
+
+export default AddStopForm;
@@ -0,0 +1,245 @@
+import React, { useState } from "react";
+import { BUDGET_CATEGORIES } from "../utils/budget";
+import { formatMoney } from "../utils/currency";
+
+/**
+ * Planned vs. actual costs by category for the selected day or the whole
+ * trip, with a small form to log what was really spent on that day.
+ * `plan` comes from planTripBudget and `actual` from summarizeExpenses.
+ */
+const BudgetPanel = ({ plan, actual, expenses, selectedDay, currency, onAddExpense, onRemoveExpense }) => {
+    const [scope, setScope] = useState("day"); // "day" | "trip"
+    const [category, setCategory] = useState("meals");
+    const [amount, setAmount] = useState("");
+    const [note, setNote] = useState("");
+
+    const planned = scope === "day" ? plan.days[selectedDay] : plan.totals;
+    const spent = scope === "day" ? actual.days[selectedDay] : actual.totals;
+    if (!planned || !spent) return null;
+
+    const limit = scope === "day" ? planned.allowance : plan.budget;
+    const over = limit > 0 && planned.total > limit;
+    const overspent = limit > 0 && spent.total > limit;
+    const money = (value) => formatMoney(value, currency);
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        const value = Number(amount);
+        if (!value || value <= 0) return;
+        onAddExpense({ day: selectedDay, category, amount: value, note: note.trim() });
+        setAmount("");
+        setNote("");
+    };
+
+    const dayExpenses = expenses.filter((expense) => expense.day === selectedDay);
+
+    return (
+        <div style={styles.wrap}>
+            <div style={styles.header}>
+                <span style={styles.title}>💰 Budget</span>
+                <div style={styles.scope}>
+                    {[
+                        ["day", `Day ${selectedDay + 1}`],
+                        ["trip", "Trip"],
+                    ].map(([key, label]) => (
+                        <button
+                            key={key}
+                            type="button"
+                            onClick={() => setScope(key)}
+                            style={{ ...styles.scopeBtn, ...(scope === key ? styles.scopeBtnActive : {}) }}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <table style={styles.table}>
+                <thead>
+                    <tr>
+                        <th style={styles.th} />
+                        <th style={styles.thNum}>Planned</th>
+                        <th style={styles.thNum}>Spent</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {Object.entries(BUDGET_CATEGORIES).map(([key, label]) => (
+                        <tr key={key}>
+                            <td style={styles.td}>
+                                {label}
+                                {scope === "day" && planned.assumed.includes(key) && (
+                                    <span style={styles.assumed} title="No price was quoted, so a typical one is used">
+                                        ≈
+                                    </span>
+                                )}
+                                {scope === "day" && key === "hotel" && planned.overnight === false && (
+                                    <span style={styles.assumed} title="The trip ends on this day, so there is no hotel night">
+                                        check-out
+                                    </span>
+                                )}
+                            </td>
+                            <td style={styles.tdNum}>{money(planned[key])}</td>
+                            <td style={styles.tdNum}>{spent[key] ? money(spent[key]) : "—"}</td>
+                        </tr>
+                    ))}
+                    <tr>
+                        <td style={{ ...styles.td, ...styles.totalCell }}>Total</td>
+                        <td style={{ ...styles.tdNum, ...styles.totalCell, ...(over ? styles.overText : {}) }}>
+                            {money(planned.total)}
+                        </td>
+                        <td style={{ ...styles.tdNum, ...styles.totalCell, ...(overspent ? styles.overText : {}) }}>
+                            {spent.total ? money(spent.total) : "—"}
+                        </td>
+                    </tr>
+                </tbody>
+            </table>
+
+            {limit > 0 && (
+                <div style={{ ...styles.status, ...(over || overspent ? styles.overText : {}) }}>
+                    {over
+                        ? `⚠️ Plan is ${money(planned.total - limit)} over the ${scope === "day" ? "daily share" : "budget"} of ${money(limit)}`
+                        : `Within the ${scope === "day" ? "daily share" : "budget"} of ${money(limit)}`}
+                    {overspent && !over && ` · spending is ${money(spent.total - limit)} over`}
+                </div>
+            )}
+            {scope === "trip" && plan.overDays.length > 0 && (
+                <div style={styles.status}>
+                    Days over their share: {plan.overDays.map((i) => i + 1).join(", ")}
+                </div>
+            )}
+
+            <form onSubmit={handleAdd} style={styles.form}>
+                <select value={category} onChange={(e) => setCategory(e.target.value)} style={styles.input}>
+                    {Object.entries(BUDGET_CATEGORIES).map(([key, label]) => (
+                        <option key={key} value={key}>
+                            {label}
+                        </option>
+                    ))}
+                </select>
+                <input
+                    type="number"
+                    inputMode="decimal"
+                    min="0"
+                    step="any"
+                    placeholder={`Amount (${currency})`}
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value)}
+                    style={{ ...styles.input, width: 110 }}
+                />
+                <input
+                    type="text"
+                    placeholder="Note (optional)"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    style={{ ...styles.input, flex: 1 }}
+                />
+                <button type="submit" style={styles.addBtn} disabled={!(Number(amount) > 0)}>
+                    ➕ Log for day {selectedDay + 1}
+                </button>
+            </form>
+
+            {dayExpenses.length > 0 && (
+                <ul style={styles.list}>
+                    {dayExpenses.map((expense) => (
+                        <li key={expense.id} style={styles.item}>
+                            <span>
+                                {BUDGET_CATEGORIES[expense.category]} · {money(expense.amount)}
+                                {expense.note && <span style={styles.note}> — {expense.note}</span>}
+                            </span>
+                            <button
+                                type="button"
+                                style={styles.removeBtn}
+                                onClick={() => onRemoveExpense(expense.id)}
+                                title="Remove expense"
+                            >
+                                ✕
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+const styles = {
+    wrap: {
+        marginTop: 16,
+        padding: 12,
+        borderRadius: 14,
+        background: "rgba(255,255,255,0.04)",
+        border: "1px solid rgba(255,255,255,0.1)",
+        color: "#e9f0ff",
+    },
+    header: { display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 },
+    title: { fontWeight: 800, fontSize: 14 },
+    scope: { display: "flex", gap: 4 },
+    scopeBtn: {
+        padding: "3px 10px",
+        borderRadius: 999,
+        border: "1px solid rgba(255,255,255,0.18)",
+        background: "rgba(255,255,255,0.05)",
+        color: "#e9f0ff",
+        fontSize: 12,
+        cursor: "pointer",
+    },
+    scopeBtnActive: { borderColor: "#4ecdc4", background: "rgba(78,205,196,0.18)", color: "#4ecdc4", fontWeight: 700 },
+    table: { width: "100%", borderCollapse: "collapse", fontSize: 13 },
+    th: { textAlign: "left", padding: "4px 6px", fontSize: 11, opacity: 0.6, fontWeight: 700 },
+    thNum: { textAlign: "right", padding: "4px 6px", fontSize: 11, opacity: 0.6, fontWeight: 700 },
+    td: { padding: "4px 6px", borderTop: "1px solid rgba(255,255,255,0.06)" },
+    tdNum: {
+        padding: "4px 6px",
+        borderTop: "1px solid rgba(255,255,255,0.06)",
+        textAlign: "right",
+        fontVariantNumeric: "tabular-nums",
+    },
+    totalCell: { fontWeight: 800, borderTop: "1px solid rgba(255,255,255,0.2)" },
+    assumed: { marginLeft: 6, opacity: 0.6, cursor: "help" },
+    status: { marginTop: 8, fontSize: 12, opacity: 0.85 },
+    overText: { color: "#ff6b6b", opacity: 1 },
+    form: { display: "flex", flexWrap: "wrap", gap: 6, marginTop: 10 },
+    input: {
+        padding: "6px 8px",
+        borderRadius: 8,
+        border: "1px solid rgba(255,255,255,0.18)",
+        background: "rgba(255,255,255,0.06)",
+        color: "#e9f0ff",
+        fontSize: 12,
+        fontFamily: "inherit",
+        minWidth: 0,
+    },
+    addBtn: {
+        padding: "6px 12px",
+        borderRadius: 999,
+        border: "1px solid rgba(78,205,196,0.6)",
+        background: "rgba(78,205,196,0.15)",
+        color: "#4ecdc4",
+        fontSize: 12,
+        fontWeight: 700,
+        cursor: "pointer",
+    },
+    list: { margin: "8px 0 0", padding: 0, listStyle: "none", display: "flex", flexDirection: "column", gap: 4 },
+    item: {
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        gap: 8,
+        fontSize: 12,
+        padding: "4px 8px",
+        borderRadius: 8,
+        background: "rgba(255,255,255,0.03)",
+    },
+    note: { opacity: 0.7 },
+    removeBtn: {
+        padding: "0 6px",
+        borderRadius: 6,
+        border: "1px solid rgba(255,255,255,0.18)",
+        background: "transparent",
+        color: "#e9f0ff",
+        fontSize: 11,
+        cursor: "pointer",
+    },
+};
+
+export default BudgetPanel;
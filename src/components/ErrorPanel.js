@@ -0,0 +1,79 @@
+import React from "react";
+
+const ErrorPanel = ({ error, onRetry, onDismiss }) => {
+    if (!error) return null;
+
+    const isPartial = error.name === "PartialItineraryError";
+
+    return (
+        <div style={styles.panel} role="alert">
+            <div style={styles.header}>
+                <span style={styles.icon} aria-hidden>
+                    ⚠️
+                </span>
+                <span style={styles.title}>{error.title || "Something went wrong"}</span>
+            </div>
+            <div style={styles.message}>{error.message}</div>
+            {isPartial && (
+                <div style={styles.note}>
+                    The {error.days.length} day(s) that finished are shown below. Retry continues from day{" "}
+                    {error.nextDay}.
+                </div>
+            )}
+            <div style={styles.actions}>
+                {error.retryable !== false && onRetry && (
+                    <button style={styles.retryBtn} onClick={onRetry}>
+                        {isPartial ? "Retry remaining days" : "Retry"}
+                    </button>
+                )}
+                {onDismiss && (
+                    <button style={styles.dismissBtn} onClick={onDismiss}>
+                        Dismiss
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const styles = {
+    panel: {
+        marginTop: 14,
+        padding: 14,
+        borderRadius: 14,
+        background: "rgba(255,80,80,0.08)",
+        border: "1px solid rgba(255,100,100,0.45)",
+        animation: "fadeIn 300ms ease forwards",
+    },
+    header: { display: "flex", alignItems: "center", gap: 8, marginBottom: 6 },
+    icon: { fontSize: 16 },
+    title: { fontWeight: 800, fontSize: 15 },
+    message: {
+        fontSize: 13,
+        opacity: 0.9,
+        whiteSpace: "pre-wrap",
+        maxHeight: 140,
+        overflowY: "auto",
+    },
+    note: { fontSize: 12, opacity: 0.75, marginTop: 8 },
+    actions: { display: "flex", gap: 8, marginTop: 12 },
+    retryBtn: {
+        padding: "8px 14px",
+        borderRadius: 10,
+        border: "none",
+        background: "linear-gradient(135deg, #ff6b35, #f7931e)",
+        color: "#fff",
+        fontWeight: 700,
+        cursor: "pointer",
+    },
+    dismissBtn: {
+        padding: "8px 14px",
+        borderRadius: 10,
+        border: "1px solid rgba(255,255,255,0.18)",
+        background: "transparent",
+        color: "#e9f0ff",
+        cursor: "pointer",
+    },
+};
+
+export default ErrorPanel;
@@ -0,0 +1,108 @@
+import React from "react";
+
+const formatTime = (timestamp) =>
+    new Date(timestamp).toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+
+const HistoryPanel = ({ past, future, onUndo, onRedo }) => {
+    if (!past.length && !future.length) return null;
+
+    return (
+        <div style={styles.wrap}>
+            <div style={styles.header}>
+                <span style={styles.title}>🕘 History</span>
+                <div style={styles.buttons}>
+                    <button
+                        style={{ ...styles.btn, opacity: past.length ? 1 : 0.4 }}
+                        onClick={onUndo}
+                        disabled={!past.length}
+                        title="Undo (Ctrl+Z)"
+                    >
+                        ↶ Undo
+                    </button>
+                    <button
+                        style={{ ...styles.btn, opacity: future.length ? 1 : 0.4 }}
+                        onClick={onRedo}
+                        disabled={!future.length}
+                        title="Redo (Ctrl+Shift+Z)"
+                    >
+                        ↷ Redo
+                    </button>
+                </div>
+            </div>
+            <ol style={styles.list}>
+                {past.map((entry, i) => (
+                    <li
+                        key={`p-${entry.at}-${i}`}
+                        style={{
+                            ...styles.item,
+                            ...(i === past.length - 1 ? styles.itemCurrent : {}),
+                        }}
+                    >
+                        <span>{entry.label}</span>
+                        <span style={styles.time}>{formatTime(entry.at)}</span>
+                    </li>
+                ))}
+                {future.map((entry, i) => (
+                    <li key={`f-${entry.at}-${i}`} style={{ ...styles.item, ...styles.itemUndone }}>
+                        <span>{entry.label}</span>
+                        <span style={styles.time}>undone</span>
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+};
+
+const styles = {
+    wrap: {
+        marginTop: 12,
+        padding: 12,
+        borderRadius: 14,
+        background: "rgba(255,255,255,0.04)",
+        border: "1px solid rgba(255,255,255,0.1)",
+    },
+    header: {
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+        marginBottom: 8,
+    },
+    title: { fontWeight: 800, fontSize: 14 },
+    buttons: { display: "flex", gap: 6 },
+    btn: {
+        padding: "4px 10px",
+        borderRadius: 8,
+        border: "1px solid rgba(255,255,255,0.18)",
+        background: "rgba(255,255,255,0.05)",
+        color: "#e9f0ff",
+        fontSize: 12,
+        cursor: "pointer",
+    },
+    list: {
+        margin: 0,
+        padding: 0,
+        listStyle: "none",
+        maxHeight: 160,
+        overflowY: "auto",
+        display: "flex",
+        flexDirection: "column",
+        gap: 4,
+    },
+    item: {
+        display: "flex",
+        justifyContent: "space-between",
+        gap: 8,
+        fontSize: 12,
+        padding: "4px 8px",
+        borderRadius: 8,
+        background: "rgba(255,255,255,0.03)",
+    },
+    itemCurrent: {
+        background: "rgba(78,205,196,0.12)",
+        border: "1px solid rgba(78,205,196,0.45)",
+    },
+    itemUndone: { opacity: 0.45, textDecoration: "line-through" },
+    time: { opacity: 0.6, whiteSpace: "nowrap" },
+};
+
+export default HistoryPanel;
@@ -0,0 +1,164 @@
+import React, { useState } from "react";
+import { formatDistance } from "../utils/geo";
+
+/**
+ * Picks where the traveller sleeps after the selected day: one of the hotels
+ * quoted near that day's stops, for this night only or as the base hotel,
+ * or a base hotel suggested by Gemini.
+ */
+const HotelPanel = ({
+    dayIndex,
+    hotel,
+    isBase,
+    candidates,
+    baseScope,
+    suggesting,
+    disabled,
+    showPrice,
+    onChoose,
+    onClear,
+    onSuggest,
+}) => {
+    const [pick, setPick] = useState("");
+    const candidate = candidates.find((c) => c.name === pick) || null;
+
+    const choose = (scope) => {
+        if (!candidate) return;
+        const { travelKm, ...stay } = candidate;
+        onChoose(stay, scope);
+        setPick("");
+    };
+
+    return (
+        <div style={styles.wrap}>
+            <div style={styles.header}>
+                <span style={styles.title}>🏨 Night {dayIndex + 1}</span>
+                <button
+                    type="button"
+                    style={styles.suggestBtn}
+                    onClick={onSuggest}
+                    disabled={disabled || suggesting}
+                    title={`Ask Gemini for a hotel close to the stops of ${baseScope}`}
+                >
+                    {suggesting ? "Suggesting…" : "✨ Suggest base hotel"}
+                </button>
+            </div>
+
+            {hotel ? (
+                <div style={styles.current}>
+                    <div>
+                        <div style={styles.name}>{hotel.name}</div>
+                        <div style={styles.detail}>
+                            {[hotel.rating, showPrice(hotel.price), isBase ? `base for ${baseScope}` : "this night only"]
+                                .filter(Boolean)
+                                .join(" • ")}
+                            {hotel.approximate && (
+                                <span title="Shown at the stop it was listed under"> • approx. location</span>
+                            )}
+                        </div>
+                    </div>
+                    <button
+                        type="button"
+                        style={styles.clearBtn}
+                        onClick={() => onClear(isBase ? "base" : "night")}
+                        disabled={disabled}
+                        title={isBase ? "Clear the base hotel" : "Clear this night's hotel"}
+                    >
+                        ✕
+                    </button>
+                </div>
+            ) : (
+                <div style={styles.empty}>No hotel chosen — routes start at the first stop.</div>
+            )}
+
+            {candidates.length > 0 && (
+                <div style={styles.pickRow}>
+                    <select value={pick} onChange={(e) => setPick(e.target.value)} style={styles.select} disabled={disabled}>
+                        <option value="">Hotels near Day {dayIndex + 1}…</option>
+                        {candidates.map((c) => (
+                            <option key={c.name} value={c.name}>
+                                {c.name} · {showPrice(c.price)} · {formatDistance(c.travelKm)} to/from stops
+                            </option>
+                        ))}
+                    </select>
+                    <button type="button" style={styles.btn} onClick={() => choose("night")} disabled={!candidate}>
+                        This night
+                    </button>
+                    <button type="button" style={styles.btn} onClick={() => choose("base")} disabled={!candidate}>
+                        As base
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const styles = {
+    wrap: {
+        marginTop: 12,
+        padding: 12,
+        borderRadius: 14,
+        background: "rgba(255,255,255,0.04)",
+        border: "1px solid rgba(255,255,255,0.1)",
+        display: "flex",
+        flexDirection: "column",
+        gap: 8,
+    },
+    header: { display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8 },
+    title: { fontWeight: 800, fontSize: 14 },
+    suggestBtn: {
+        padding: "4px 10px",
+        borderRadius: 999,
+        border: "1px solid rgba(78,205,196,0.6)",
+        background: "rgba(78,205,196,0.15)",
+        color: "#4ecdc4",
+        fontSize: 12,
+        fontWeight: 700,
+        cursor: "pointer",
+    },
+    current: {
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+        gap: 8,
+        padding: "6px 10px",
+        borderRadius: 10,
+        background: "rgba(78,205,196,0.08)",
+        border: "1px solid rgba(78,205,196,0.35)",
+    },
+    name: { fontWeight: 700, fontSize: 13 },
+    detail: { fontSize: 12, opacity: 0.75 },
+    empty: { fontSize: 12, opacity: 0.7 },
+    pickRow: { display: "flex", flexWrap: "wrap", gap: 6 },
+    select: {
+        flex: 1,
+        minWidth: 0,
+        padding: "6px 8px",
+        borderRadius: 8,
+        border: "1px solid rgba(255,255,255,0.18)",
+        background: "rgba(255,255,255,0.06)",
+        color: "#e9f0ff",
+        fontSize: 12,
+        fontFamily: "inherit",
+    },
+    btn: {
+        padding: "4px 10px",
+        borderRadius: 8,
+        border: "1px solid rgba(255,255,255,0.18)",
+        background: "rgba(255,255,255,0.05)",
+        color: "#e9f0ff",
+        fontSize: 12,
+        cursor: "pointer",
+    },
+    clearBtn: {
+        padding: "0 6px",
+        borderRadius: 6,
+        border: "1px solid rgba(255,255,255,0.18)",
+        background: "transparent",
+        color: "#e9f0ff",
+        fontSize: 11,
+        cursor: "pointer",
+    },
+};
+
+export default HotelPanel;
@@ -0,0 +1,116 @@
+import React from "react";
+import { MAX_LEG_NIGHTS, totalNights, validateLegs } from "../utils/tripLegs";
+
+/**
+ * Rows of { city, nights } for a multi-city trip, in travel order.
+ */
+const LegsEditor = ({ legs, onChange }) => {
+    const update = (index, patch) =>
+        onChange(legs.map((leg, i) => (i === index ? { ...leg, ...patch } : leg)));
+
+    const remove = (index) => onChange(legs.filter((_, i) => i !== index));
+
+    const move = (index, delta) => {
+        const next = [...legs];
+        const [leg] = next.splice(index, 1);
+        next.splice(index + delta, 0, leg);
+        onChange(next);
+    };
+
+    const problem = validateLegs(legs);
+
+    return (
+        <div style={styles.wrap}>
+            {legs.map((leg, i) => (
+                <div key={i} style={styles.row}>
+                    <span style={styles.index}>{i + 1}</span>
+                    <input
+                        type="text"
+                        placeholder={i === 0 ? "First city (e.g., Tokyo) *" : "Next city *"}
+                        value={leg.city}
+                        onChange={(e) => update(i, { city: e.target.value })}
+                        style={{ ...styles.input, flex: 1 }}
+                    />
+                    <input
+                        type="number"
+                        inputMode="numeric"
+                        min="1"
+                        max={MAX_LEG_NIGHTS}
+                        value={leg.nights === "" ? "" : leg.nights}
+                        onChange={(e) => update(i, { nights: e.target.value === "" ? "" : Number(e.target.value) })}
+                        style={{ ...styles.input, width: 64 }}
+                        title="Nights in this city"
+                    />
+                    <span style={styles.unit}>nights</span>
+                    <button type="button" style={styles.iconBtn} onClick={() => move(i, -1)} disabled={i === 0} title="Move up">
+                        ↑
+                    </button>
+                    <button
+                        type="button"
+                        style={styles.iconBtn}
+                        onClick={() => move(i, 1)}
+                        disabled={i === legs.length - 1}
+                        title="Move down"
+                    >
+                        ↓
+                    </button>
+                    <button
+                        type="button"
+                        style={styles.iconBtn}
+                        onClick={() => remove(i)}
+                        disabled={legs.length <= 2}
+                        title="Remove city"
+                    >
+                        ✕
+                    </button>
+                </div>
+            ))}
+            <div style={styles.footer}>
+                <button type="button" style={styles.addBtn} onClick={() => onChange([...legs, { city: "", nights: 2 }])}>
+                    ➕ Add city
+                </button>
+                <span style={styles.summary}>{problem || `${totalNights(legs)} days in total`}</span>
+            </div>
+        </div>
+    );
+};
+
+const styles = {
+    wrap: { display: "flex", flexDirection: "column", gap: 6, flex: 2, minWidth: 260 },
+    row: { display: "flex", alignItems: "center", gap: 6 },
+    index: { width: 16, fontSize: 12, opacity: 0.6, textAlign: "right" },
+    input: {
+        padding: "10px 12px",
+        borderRadius: 10,
+        border: "1px solid rgba(255,255,255,0.18)",
+        background: "rgba(255,255,255,0.06)",
+        color: "#e9f0ff",
+        fontSize: 13,
+        fontFamily: "inherit",
+        minWidth: 0,
+    },
+    unit: { fontSize: 12, opacity: 0.7 },
+    iconBtn: {
+        padding: "4px 8px",
+        borderRadius: 8,
+        border: "1px solid rgba(255,255,255,0.18)",
+        background: "rgba(255,255,255,0.05)",
+        color: "#e9f0ff",
+        fontSize: 12,
+        cursor: "pointer",
+    },
+    footer: { display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8 },
+    addBtn: {
+        padding: "6px 12px",
+        borderRadius: 999,
+        border: "1px solid rgba(255,255,255,0.18)",
+        background: "rgba(255,255,255,0.05)",
+        color: "#e9f0ff",
+        fontSize: 12,
+        fontWeight: 700,
+        cursor: "pointer",
+    },
+    summary: { fontSize: 12, opacity: 0.7 },
+};
+
+export default LegsEditor;
@@ -0,0 +1,84 @@
+import React from "react";
+import { dayColor } from "../utils/dayColors";
+
+/**
+ * Map scope switch plus one legend entry per day. With scope "all" an entry
+ * toggles that day's markers and route; with scope "day" it selects the day.
+ */
+const MapLegend = ({ days, scope, selectedDay, hiddenDays, onScopeChange, onToggleDay, onSelectDay }) => (
+    <div style={styles.wrap}>
+        <div style={styles.scope}>
+            {[
+                ["day", "Selected day"],
+                ["all", "All days"],
+            ].map(([value, label]) => (
+                <button
+                    key={value}
+                    style={{ ...styles.scopeBtn, ...(scope === value ? styles.scopeBtnActive : {}) }}
+                    onClick={() => onScopeChange(value)}
+                >
+                    {label}
+                </button>
+            ))}
+        </div>
+        <div style={styles.items}>
+            {days.map((day, i) => {
+                const visible = scope === "day" ? i === selectedDay : !hiddenDays.has(i);
+                return (
+                    <button
+                        key={i}
+                        style={{ ...styles.item, opacity: visible ? 1 : 0.4 }}
+                        onClick={() => (scope === "day" ? onSelectDay(i) : onToggleDay(i))}
+                        title={day?.title || `Day ${i + 1}`}
+                        aria-pressed={visible}
+                    >
+                        <span style={{ ...styles.swatch, background: dayColor(i) }} />
+                        Day {i + 1}
+                    </button>
+                );
+            })}
+        </div>
+    </div>
+);
+
+const styles = {
+    wrap: {
+        display: "flex",
+        alignItems: "center",
+        flexWrap: "wrap",
+        gap: 10,
+        padding: "8px 20px",
+        borderBottom: "1px solid rgba(255,255,255,0.08)",
+    },
+    scope: {
+        display: "flex",
+        borderRadius: 999,
+        border: "1px solid rgba(255,255,255,0.18)",
+        overflow: "hidden",
+    },
+    scopeBtn: {
+        padding: "4px 10px",
+        border: "none",
+        background: "transparent",
+        color: "#e9f0ff",
+        fontSize: 12,
+        cursor: "pointer",
+    },
+    scopeBtnActive: { background: "rgba(78,205,196,0.25)", fontWeight: 700 },
+    items: { display: "flex", flexWrap: "wrap", gap: 6 },
+    item: {
+        display: "flex",
+        alignItems: "center",
+        gap: 6,
+        padding: "3px 8px",
+        borderRadius: 8,
+        border: "1px solid rgba(255,255,255,0.12)",
+        background: "rgba(255,255,255,0.04)",
+        color: "#e9f0ff",
+        fontSize: 12,
+        cursor: "pointer",
+    },
+    swatch: { width: 12, height: 4, borderRadius: 2 },
+};
+
+export default MapLegend;
@@ -0,0 +1,115 @@
+import React from "react";
+import { MEAL_SLOTS } from "../utils/meals";
+
+/**
+ * Breakfast, lunch and dinner for one day. Each slot shows the planned
+ * restaurant and can be swapped for another one near the stops of that meal.
+ * `meals` comes from planMeals; `candidates(slot)` lists the alternatives.
+ */
+const MealPlan = ({ dayIndex, meals, candidates, hasDietary, showPrice, onSwap }) => (
+    <div style={styles.wrap}>
+        <div style={styles.title}>🍽️ Meals · Day {dayIndex + 1}</div>
+        {Object.entries(MEAL_SLOTS).map(([slot, label]) => {
+            const meal = meals?.[slot];
+            const options = candidates(slot);
+            return (
+                <div key={slot} style={styles.slot}>
+                    <span style={styles.label}>{label}</span>
+                    {meal ? (
+                        <div style={styles.body}>
+                            <div style={styles.name}>
+                                {meal.restaurant.name}
+                                {hasDietary && !meal.suitable && (
+                                    <span style={styles.warn} title="Does not mention your dietary needs — check before going">
+                                        {" "}
+                                        ⚠️
+                                    </span>
+                                )}
+                                {meal.repeat && (
+                                    <span style={styles.muted} title="Already planned for another meal">
+                                        {" "}
+                                        · again
+                                    </span>
+                                )}
+                            </div>
+                            <div style={styles.detail}>
+                                {[meal.restaurant.rating, meal.restaurant.price && showPrice(meal.restaurant.price), `near ${meal.placeName}`]
+                                    .filter(Boolean)
+                                    .join(" • ")}
+                            </div>
+                        </div>
+                    ) : (
+                        <div style={{ ...styles.body, ...styles.muted }}>No food suggested near these stops</div>
+                    )}
+                    {options.length > 1 && (
+                        <select
+                            value={meal?.restaurant.name || ""}
+                            onChange={(e) => onSwap(slot, e.target.value)}
+                            style={styles.select}
+                            title="Swap for another restaurant"
+                        >
+                            {options.map((c) => (
+                                <option key={c.restaurant.name} value={c.restaurant.name}>
+                                    {c.restaurant.name}
+                                    {hasDietary && !c.suitable ? " (check diet)" : ""}
+                                </option>
+                            ))}
+                        </select>
+                    )}
+                    {meal?.pinned && (
+                        <button
+                            type="button"
+                            style={styles.resetBtn}
+                            onClick={() => onSwap(slot, null)}
+                            title="Go back to the suggested restaurant"
+                        >
+                            ↺
+                        </button>
+                    )}
+                </div>
+            );
+        })}
+    </div>
+);
+
+const styles = {
+    wrap: {
+        marginTop: 12,
+        padding: 12,
+        borderRadius: 14,
+        background: "rgba(255,255,255,0.04)",
+        border: "1px solid rgba(255,255,255,0.1)",
+        display: "flex",
+        flexDirection: "column",
+        gap: 8,
+    },
+    title: { fontWeight: 800, fontSize: 14 },
+    slot: { display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" },
+    label: { width: 92, fontSize: 12, fontWeight: 700, opacity: 0.85 },
+    body: { flex: 1, minWidth: 140, fontSize: 12 },
+    name: { fontWeight: 700, fontSize: 13 },
+    detail: { opacity: 0.7 },
+    warn: { cursor: "help" },
+    muted: { opacity: 0.6 },
+    select: {
+        maxWidth: 140,
+        padding: "4px 6px",
+        borderRadius: 8,
+        border: "1px solid rgba(255,255,255,0.18)",
+        background: "rgba(255,255,255,0.06)",
+        color: "#e9f0ff",
+        fontSize: 12,
+        fontFamily: "inherit",
+    },
+    resetBtn: {
+        padding: "0 6px",
+        borderRadius: 6,
+        border: "1px solid rgba(255,255,255,0.18)",
+        background: "transparent",
+        color: "#e9f0ff",
+        fontSize: 11,
+        cursor: "pointer",
+    },
+};
+
+export default MealPlan;
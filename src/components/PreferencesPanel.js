@@ -0,0 +1,143 @@
+import React, { useState } from "react";
+import {
+    INTERESTS,
+    PACES,
+    TRAVEL_STYLES,
+    DIETARY,
+    ACCESSIBILITY,
+    hasPreferences,
+    normalizePreferences,
+} from "../utils/preferences";
+
+/**
+ * Collapsible form section for the traveller preferences sent to Gemini.
+ */
+const PreferencesPanel = ({ preferences, onChange }) => {
+    const [open, setOpen] = useState(false);
+    const prefs = normalizePreferences(preferences);
+
+    const set = (patch) => onChange({ ...prefs, ...patch });
+    const toggle = (field, key) =>
+        set({
+            [field]: prefs[field].includes(key)
+                ? prefs[field].filter((k) => k !== key)
+                : [...prefs[field], key],
+        });
+
+    const chip = (active, label, onClick, key) => (
+        <button
+            key={key}
+            type="button"
+            onClick={onClick}
+            aria-pressed={active}
+            style={{ ...styles.chip, ...(active ? styles.chipActive : {}) }}
+        >
+            {label}
+        </button>
+    );
+
+    const group = (title, children) => (
+        <div style={styles.group}>
+            <span style={styles.groupTitle}>{title}</span>
+            <div style={styles.chips}>{children}</div>
+        </div>
+    );
+
+    return (
+        <div style={styles.wrap}>
+            <button type="button" style={styles.toggle} onClick={() => setOpen((o) => !o)} aria-expanded={open}>
+                {open ? "▾" : "▸"} 🎯 Preferences
+                {hasPreferences(prefs) && <span style={styles.badge}>customized</span>}
+            </button>
+
+            {open && (
+                <div style={styles.body}>
+                    {group(
+                        "Interests",
+                        Object.entries(INTERESTS).map(([key, label]) =>
+                            chip(prefs.interests.includes(key), label, () => toggle("interests", key), key)
+                        )
+                    )}
+                    {group(
+                        "Pace",
+                        Object.entries(PACES).map(([key, pace]) =>
+                            chip(prefs.pace === key, `${pace.label} · ${pace.stops}/day`, () => set({ pace: key }), key)
+                        )
+                    )}
+                    {group(
+                        "Travelling as",
+                        Object.entries(TRAVEL_STYLES).map(([key, label]) =>
+                            chip(prefs.style === key, label, () => set({ style: prefs.style === key ? "" : key }), key)
+                        )
+                    )}
+                    {group(
+                        "Dietary",
+                        Object.entries(DIETARY).map(([key, label]) =>
+                            chip(prefs.dietary.includes(key), label, () => toggle("dietary", key), key)
+                        )
+                    )}
+                    {group(
+                        "Accessibility",
+                        Object.entries(ACCESSIBILITY).map(([key, label]) =>
+                            chip(prefs.accessibility.includes(key), label, () => toggle("accessibility", key), key)
+                        )
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const styles = {
+    wrap: { display: "flex", flexDirection: "column", gap: 8 },
+    toggle: {
+        alignSelf: "flex-start",
+        padding: 0,
+        border: "none",
+        background: "transparent",
+        color: "#e9f0ff",
+        fontSize: 13,
+        opacity: 0.85,
+        cursor: "pointer",
+        fontFamily: "inherit",
+    },
+    badge: {
+        marginLeft: 8,
+        padding: "1px 8px",
+        borderRadius: 999,
+        background: "rgba(78,205,196,0.18)",
+        color: "#4ecdc4",
+        fontSize: 11,
+        fontWeight: 700,
+    },
+    body: {
+        display: "flex",
+        flexDirection: "column",
+        gap: 10,
+        padding: 12,
+        borderRadius: 12,
+        border: "1px solid rgba(255,255,255,0.12)",
+        background: "rgba(255,255,255,0.03)",
+    },
+    group: { display: "flex", flexDirection: "column", gap: 6 },
+    groupTitle: { fontSize: 11, fontWeight: 700, letterSpacing: 0.6, textTransform: "uppercase", opacity: 0.6 },
+    chips: { display: "flex", flexWrap: "wrap", gap: 6 },
+    chip: {
+        padding: "5px 10px",
+        borderRadius: 999,
+        border: "1px solid rgba(255,255,255,0.18)",
+        background: "rgba(255,255,255,0.05)",
+        color: "#e9f0ff",
+        fontSize: 12,
+        cursor: "pointer",
+        fontFamily: "inherit",
+    },
+    chipActive: {
+        borderColor: "#4ecdc4",
+        background: "rgba(78,205,196,0.18)",
+        color: "#4ecdc4",
+        fontWeight: 700,
+    },
+};
+
+export default PreferencesPanel;
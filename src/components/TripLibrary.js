@@ -0,0 +1,124 @@
+import React from "react";
+
+const formatDate = (timestamp) =>
+    new Date(timestamp).toLocaleDateString(undefined, {
+        day: "numeric",
+        month: "short",
+        year: "numeric",
+    });
+
+const TripLibrary = ({ trips, activeTripId, onOpen, onRename, onDuplicate, onDelete }) => {
+    if (!trips.length) return null;
+
+    return (
+        <div style={styles.wrap}>
+            <div style={styles.header}>
+                <span style={styles.title}>🧳 Saved trips</span>
+                <span style={styles.count}>{trips.length}</span>
+            </div>
+            <div style={styles.list}>
+                {trips.map((trip) => (
+                    <div
+                        key={trip.id}
+                        style={{
+                            ...styles.item,
+                            ...(trip.id === activeTripId ? styles.itemActive : {}),
+                        }}
+                    >
+                        <button style={styles.openBtn} onClick={() => onOpen(trip)} title="Open trip">
+                            <div style={styles.name}>{trip.name}</div>
+                            <div style={styles.sub}>
+                                {trip.city} • {trip.days} day{trip.days === 1 ? "" : "s"} • {formatDate(trip.createdAt)}
+                            </div>
+                        </button>
+                        <div style={styles.actions}>
+                            <button style={styles.actionBtn} onClick={() => onRename(trip)} title="Rename">
+                                ✎
+                            </button>
+                            <button style={styles.actionBtn} onClick={() => onDuplicate(trip)} title="Duplicate">
+                                ⧉
+                            </button>
+                            <button style={styles.actionBtn} onClick={() => onDelete(trip)} title="Delete">
+                                🗑
+                            </button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+const styles = {
+    wrap: {
+        marginTop: 14,
+        padding: 12,
+        borderRadius: 14,
+        background: "rgba(255,255,255,0.04)",
+        border: "1px solid rgba(255,255,255,0.1)",
+    },
+    header: {
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+        marginBottom: 8,
+    },
+    title: { fontWeight: 800, fontSize: 14 },
+    count: {
+        fontSize: 12,
+        padding: "2px 8px",
+        borderRadius: 999,
+        background: "rgba(255,255,255,0.08)",
+    },
+    list: {
+        display: "flex",
+        flexDirection: "column",
+        gap: 6,
+        maxHeight: 220,
+        overflowY: "auto",
+    },
+    item: {
+        display: "flex",
+        alignItems: "center",
+        gap: 8,
+        padding: "6px 8px",
+        borderRadius: 10,
+        border: "1px solid transparent",
+        background: "rgba(255,255,255,0.03)",
+    },
+    itemActive: {
+        border: "1px solid rgba(78,205,196,0.6)",
+        background: "rgba(78,205,196,0.08)",
+    },
+    openBtn: {
+        flex: 1,
+        minWidth: 0,
+        textAlign: "left",
+        background: "transparent",
+        border: "none",
+        color: "#e9f0ff",
+        cursor: "pointer",
+        padding: 0,
+    },
+    name: {
+        fontWeight: 700,
+        fontSize: 13,
+        whiteSpace: "nowrap",
+        overflow: "hidden",
+        textOverflow: "ellipsis",
+    },
+    sub: { fontSize: 11, opacity: 0.7, marginTop: 2 },
+    actions: { display: "flex", gap: 4 },
+    actionBtn: {
+        width: 28,
+        height: 28,
+        borderRadius: 8,
+        border: "1px solid rgba(255,255,255,0.12)",
+        background: "rgba(255,255,255,0.05)",
+        color: "#e9f0ff",
+        cursor: "pointer",
+        fontSize: 13,
+    },
+};
+
+export default TripLibrary;
@@ -0,0 +1,66 @@
+// src/hooks/useDayRoutes.js
+import { useEffect, useMemo, useState } from "react";
+import { fetchRouteGeometry, getRoutingConfig } from "../services/routing";
+import { hasCoords } from "../utils/geo";
+
+const straightLine = (points) => points.map((p) => [p.lat, p.lng]);
+
+/**
+ * Route geometry per day: [{ positions, routed }]. Days start out as straight
+ * lines between their stops and are swapped for street geometry as the router
+ * answers; a day whose request fails keeps its straight line.
+ * `status` is "idle", "off" (no router configured), "loading", "routed",
+ * "partial" or "straight".
+ */
+export function useDayRoutes(itinerary) {
+  const config = useMemo(() => getRoutingConfig(), []);
+
+  const dayPoints = useMemo(
+    () =>
+      itinerary.map((day) =>
+        (day?.itinerary || []).map((place) => place.location).filter(hasCoords)
+      ),
+    [itinerary]
+  );
+
+  const [routed, setRouted] = useState({ source: null, days: [] });
+
+  useEffect(() => {
+    if (!config.provider || !dayPoints.length) return undefined;
+
+    let stale = false;
+    Promise.all(
+      dayPoints.map((points) =>
+        fetchRouteGeometry(points, { config }).then(
+          (route) => route.positions,
+          (err) => {
+            console.warn("⚠️ Routing failed, drawing straight lines:", err.message);
+            return null;
+          }
+        )
+      )
+    ).then((days) => {
+      if (!stale) setRouted({ source: dayPoints, days });
+    });
+
+    return () => {
+      stale = true;
+    };
+  }, [config, dayPoints]);
+
+  // Street geometry only counts for the stops it was requested for
+  const current = routed.source === dayPoints ? routed.days : [];
+  const routes = dayPoints.map((points, i) => ({
+    positions: current[i] || straightLine(points),
+    routed: !!current[i],
+  }));
+
+  let status = "straight";
+  if (!dayPoints.length) status = "idle";
+  else if (!config.provider) status = "off";
+  else if (config.provider && routed.source !== dayPoints) status = "loading";
+  else if (routes.every((r) => r.routed)) status = "routed";
+  else if (routes.some((r) => r.routed)) status = "partial";
+
+  return { routes, status };
+}
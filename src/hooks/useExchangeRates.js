@@ -0,0 +1,23 @@
+// src/hooks/useExchangeRates.js
+import { useEffect, useState } from "react";
+import { getExchangeRates, OFFLINE_RATES } from "../services/exchangeRates";
+
+/**
+ * The exchange-rate table to format prices with. Starts with the bundled
+ * offline rates and switches to the configured provider's once loaded.
+ */
+export function useExchangeRates() {
+  const [rates, setRates] = useState(OFFLINE_RATES);
+
+  useEffect(() => {
+    let stale = false;
+    getExchangeRates().then((table) => {
+      if (!stale) setRates(table);
+    });
+    return () => {
+      stale = true;
+    };
+  }, []);
+
+  return rates;
+}
@@ -0,0 +1,71 @@
+// src/hooks/useUndoHistory.js
+import { useCallback, useRef, useState } from "react";
+
+/**
+ * Command history for undo/redo.
+ *
+ * Every change is recorded with `execute(label, before, after)`, where `before`
+ * and `after` are full snapshots of the state the command touched. `apply` is
+ * called with the snapshot to restore whenever a command is executed, undone
+ * or redone. `past` and `future` expose the recorded commands for display.
+ */
+export function useUndoHistory(apply, { limit = 50 } = {}) {
+  const [stacks, setStacks] = useState({ past: [], future: [] });
+
+  // Refs keep undo/redo stable across renders while still seeing fresh values
+  const stacksRef = useRef(stacks);
+  stacksRef.current = stacks;
+  const applyRef = useRef(apply);
+  applyRef.current = apply;
+
+  const execute = useCallback(
+    (label, before, after) => {
+      applyRef.current(after);
+      const entry = { label, before, after, at: Date.now() };
+      const next = {
+        past: [...stacksRef.current.past, entry].slice(-limit),
+        future: [],
+      };
+      stacksRef.current = next;
+      setStacks(next);
+    },
+    [limit]
+  );
+
+  const undo = useCallback(() => {
+    const { past, future } = stacksRef.current;
+    if (!past.length) return;
+    const entry = past[past.length - 1];
+    applyRef.current(entry.before);
+    const next = { past: past.slice(0, -1), future: [entry, ...future] };
+    stacksRef.current = next;
+    setStacks(next);
+  }, []);
+
+  const redo = useCallback(() => {
+    const { past, future } = stacksRef.current;
+    if (!future.length) return;
+    const [entry, ...rest] = future;
+    applyRef.current(entry.after);
+    const next = { past: [...past, entry], future: rest };
+    stacksRef.current = next;
+    setStacks(next);
+  }, []);
+
+  const reset = useCallback(() => {
+    const next = { past: [], future: [] };
+    stacksRef.current = next;
+    setStacks(next);
+  }, []);
+
+  return {
+    past: stacks.past,
+    future: stacks.future,
+    canUndo: stacks.past.length > 0,
+    canRedo: stacks.future.length > 0,
+    execute,
+    undo,
+    redo,
+    reset,
+  };
+}
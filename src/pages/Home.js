@@ -7,10 +7,100 @@ import React, {
   useCallback,
   Fragment,
 } from "react";
-import { generateItinerary } from "../services/gemini";
+import { useNavigate, useParams, useLocation } from "react-router-dom";
+import {
+  generateItinerary,
+  regenerateDay,
+  replacePlace,
+  enrichItinerary,
+  suggestBaseHotel,
+} from "../services/gemini";
+import {
+  ItineraryError,
+  PartialItineraryError,
+  ImportError,
+} from "../services/errors";
 import { getPlaceImage } from "../services/unsplash";
+import {
+  listTrips,
+  getTrip,
+  saveTrip,
+  renameTrip,
+  duplicateTrip,
+  deleteTrip,
+  getLastTripId,
+  setLastTripId,
+} from "../services/tripStorage";
+import TripLibrary from "../components/TripLibrary";
+import ErrorPanel from "../components/ErrorPanel";
+import AddStopForm from "../components/AddStopForm";
+import HistoryPanel from "../components/HistoryPanel";
+import MapLegend from "../components/MapLegend";
+import LegsEditor from "../components/LegsEditor";
+import PreferencesPanel from "../components/PreferencesPanel";
+import BudgetPanel from "../components/BudgetPanel";
+import HotelPanel from "../components/HotelPanel";
+import MealPlan from "../components/MealPlan";
+import { useUndoHistory } from "../hooks/useUndoHistory";
+import { useDayRoutes } from "../hooks/useDayRoutes";
+import { useExchangeRates } from "../hooks/useExchangeRates";
+import { exportItineraryPdf } from "../utils/pdfExport";
+import { DEFAULT_START_TIME, formatClock, isClockTime, scheduleTrip } from "../utils/scheduler";
+import { buildIcs } from "../utils/ics";
+import { downloadFile, fileSlug } from "../utils/download";
+import { ROUTE_FORMATS } from "../utils/routeExport";
+import { parseItineraryFile } from "../utils/routeImport";
+import { optimizeDay } from "../utils/routeOptimizer";
+import { dayColor } from "../utils/dayColors";
+import {
+  isMultiCity,
+  legsTitle,
+  totalNights,
+  validateLegs,
+} from "../utils/tripLegs";
+import { DEFAULT_PREFERENCES, normalizePreferences } from "../utils/preferences";
+import { normalizeTripFields } from "../utils/tripFields";
+import { CURRENCIES, DEFAULT_CURRENCY, formatMoney, formatPrice } from "../utils/currency";
+import { planTripBudget, summarizeExpenses } from "../utils/budget";
+import {
+  EMPTY_STAYS,
+  hotelCandidates,
+  nightlyHotels,
+  setStay,
+  toStay,
+  withHotel,
+} from "../utils/hotels";
+import { EMPTY_MEAL_PINS, MEAL_SLOTS, mealCandidates, pinMeal, planMeals } from "../utils/meals";
+import {
+  formatDistance,
+  formatMinutes,
+  hasCoords,
+  tripTotals,
+  TRAVEL_MODES,
+} from "../utils/geo";
+import {
+  encodeSharePayload,
+  decodeSharePayload,
+  readShareHash,
+  buildShareUrl,
+} from "../utils/shareLink";
+import {
+  reorderPlace,
+  movePlace,
+  removePlace,
+  addPlace,
+  canTakeFromDay,
+} from "../utils/itineraryEdits";
 // Import Leaflet components
-import { MapContainer, TileLayer, Marker, Polyline, Popup, useMap } from "react-leaflet";
+import {
+  MapContainer,
+  TileLayer,
+  Marker,
+  Polyline,
+  Popup,
+  useMap,
+  useMapEvents,
+} from "react-leaflet";
 import "leaflet/dist/leaflet.css";
 import L from "leaflet";
 
@@ -25,6 +115,25 @@ L.Icon.Default.mergeOptions({
     "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png",
 });
 
+// Marker for the hotel a day's route starts and ends at
+const hotelIcon = L.divIcon({
+  className: 'custom-hotel-marker',
+  html: `<div style="
+    background: #0b1220;
+    border-radius: 8px;
+    width: 30px;
+    height: 30px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    font-size: 16px;
+    border: 2px solid #4ecdc4;
+    box-shadow: 0 2px 6px rgba(0,0,0,0.3);
+  ">🏨</div>`,
+  iconSize: [30, 30],
+  iconAnchor: [15, 15],
+});
+
 // Custom marker icons for numbered stops
 const createNumberedIcon = (number, color = '#ff6b35') => {
   return L.divIcon({
@@ -67,6 +176,16 @@ const MapControls = ({ mapRef }) => {
   return null;
 };
 
+// Reports map clicks while the user is picking a location for a custom stop
+const MapClickPicker = ({ active, onPick }) => {
+  useMapEvents({
+    click: (e) => {
+      if (active) onPick({ lat: e.latlng.lat, lng: e.latlng.lng });
+    },
+  });
+  return null;
+};
+
 /**
  * Home
  * - Clean, lively UI for AI trip planning
@@ -83,12 +202,39 @@ const MapControls = ({ mapRef }) => {
  * - Long descriptions scroll inside the detail panel; buttons stay visible.
  */
 
+// ----------------------------- Utility: fit map to a day -----------------------------
+// Frames a day's stops, which on multi-city trips is that day's city
+const fitMapToPlaces = (map, places = []) => {
+  const points = places
+    .map((place) => place.location)
+    .filter(hasCoords)
+    .map((loc) => [loc.lat, loc.lng]);
+  if (!map || !points.length) return;
+  if (points.length === 1) map.setView(points[0], 14);
+  else map.fitBounds(L.latLngBounds(points), { padding: [30, 30], maxZoom: 15 });
+};
+
 // ----------------------------- Utility: clamp -----------------------------
 const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
 
 // ----------------------------- Utility: sleep (for demo/UX pacing) -----------------------------
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
+// ----------------------------- Utility: progress label -----------------------------
+// e.g. "Days 1–7 ready, generating 8–14…"
+const formatProgress = ({ ready, generating, total }) => {
+  const range = (a, b) => (a === b ? `${a}` : `${a}–${b}`);
+  const parts = [];
+  if (ready > 0) parts.push(`Day${ready === 1 ? "" : "s"} ${range(1, ready)} ready`);
+  if (generating) {
+    parts.push(`generating ${range(generating.start, generating.end)}…`);
+  } else if (ready < total) {
+    parts.push("preparing…");
+  }
+  const label = parts.join(", ");
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
 // ----------------------------- Component: ShimmerLine -----------------------------
 const ShimmerLine = ({ width = "100%", height = 12, radius = 6, style }) => (
   <div
@@ -213,22 +359,111 @@ const usePrefetchImagesForDay = (dayData, imageCache) => {
   return imageMap;
 };
 
+// ----------------------------- Routing -----------------------------
+// Path id of a trip that is still generating and not saved yet
+const DRAFT_TRIP_ID = "draft";
+
 // ----------------------------- Main Component -----------------------------
 const Home = () => {
   // ---- Form state ----
   const [city, setCity] = useState("");
   const [budget, setBudget] = useState("");
   const [inputDays, setInputDays] = useState("");
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+  const [multiCity, setMultiCity] = useState(false);
+  const [legs, setLegs] = useState([
+    { city: "", nights: 3 },
+    { city: "", nights: 2 },
+  ]); // [{ city, nights }] when planning a multi-city trip
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
 
   // ---- Itinerary state ----
   const [days, setDays] = useState(0);
   const [itins, setItins] = useState([]); // full itinerary array
-  const [selectedDay, setSelectedDay] = useState(0); // day index
   const [dayData, setDayData] = useState(null); // current day object
   const [loading, setLoading] = useState(false);
-
-  // ---- Place details state (for in-page detail panel) ----
-  const [selectedPlace, setSelectedPlace] = useState(null);
+  const [error, setError] = useState(null); // typed error from services/errors
+  const retryRef = useRef(null); // re-runs whatever produced the current error
+  const [tripMeta, setTripMeta] = useState(null); // { city, budget, currency, legs?, preferences? } of the shown trip
+  const [pendingEdit, setPendingEdit] = useState(null); // { dayIndex, placeIndex? } being regenerated
+
+  // ---- Exports ----
+  const [exporting, setExporting] = useState(null); // name of the export in progress
+  const [startDate, setStartDate] = useState(""); // "YYYY-MM-DD" of day 1
+  const [startTime, setStartTime] = useState(DEFAULT_START_TIME); // "HH:MM" each day starts
+
+  // ---- Budget ----
+  const [expenses, setExpenses] = useState([]); // logged spend: [{ id, day, category, amount, note }]
+
+  // ---- Hotels ----
+  const [stays, setStays] = useState(EMPTY_STAYS); // { base, nights } — see utils/hotels
+  const [suggestingHotel, setSuggestingHotel] = useState(false);
+
+  // ---- Meals ----
+  const [mealPins, setMealPins] = useState(EMPTY_MEAL_PINS); // swapped restaurants, see utils/meals
+
+  // ---- Import ----
+  const importInputRef = useRef(null);
+  const [importInfo, setImportInfo] = useState(null); // { filename, needsEnrichment }
+  const [enriching, setEnriching] = useState(false);
+
+  // ---- Manual editor ----
+  const [editMode, setEditMode] = useState(false);
+  const [addingStop, setAddingStop] = useState(false);
+  const [pickingLocation, setPickingLocation] = useState(false);
+  const [pickedLocation, setPickedLocation] = useState(null); // { lat, lng }
+  const dragRef = useRef(null); // { dayIndex, placeIndex } of the card being dragged
+
+  // ---- Route optimizer ----
+  const [routeProposal, setRouteProposal] = useState(null); // optimizeDay() result + { dayIndex, source }
+  const [keepFirstStop, setKeepFirstStop] = useState(false);
+  const [progress, setProgress] = useState(null); // { ready, generating, total }
+  const controllerRef = useRef(null); // AbortController of the in-flight run
+  const generationIdRef = useRef(0); // increments per run to drop stale results
+  const editControllerRef = useRef(null); // AbortController of the pending regenerate / replace request
+  const hotelControllerRef = useRef(null); // AbortController of the pending hotel suggestion
+  const enrichControllerRef = useRef(null); // AbortController of the pending enrichment of imported stops
+
+  // ---- Saved trips library ----
+  const [savedTrips, setSavedTrips] = useState(() => listTrips());
+  const [activeTripId, setActiveTripId] = useState(null);
+
+  // ---- Routing / share links ----
+  // The URL owns the selection: /trip/:tripId/day/:dayNumber[/place/:placeNumber], 1-based.
+  // A trip that is still generating (not saved yet) uses DRAFT_TRIP_ID as its id.
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { tripId: routeTripId, dayNumber, placeNumber } = useParams();
+  const locationRef = useRef(location); // latest location, also for async handlers
+  locationRef.current = location;
+  const handledRouteRef = useRef(null); // last pathname + hash the route effect acted on
+  const screenRef = useRef(null); // trip on screen, for handlers that resume after an await
+  const routeHandlerRef = useRef(null);
+  const [shareStatus, setShareStatus] = useState(null); // "copying" | "copied"
+
+  // ---- Selection (derived from the route) ----
+  const selectedDay = days > 0 && Number(dayNumber) >= 1 ? clamp(Number(dayNumber), 1, days) - 1 : 0;
+  const selectedPlaceIndex = placeNumber ? Number(placeNumber) - 1 : null;
+  const selectedPlace = itins[selectedDay]?.itinerary?.[selectedPlaceIndex] || null;
+
+  const formReady = multiCity
+    ? !validateLegs(legs) && budget > 0
+    : !!(city.trim() && budget && inputDays);
+
+  // Budget of the trip on screen (may differ from the form after an edit)
+  const tripBudget = tripMeta?.budget ?? budget;
+  screenRef.current = { tripId: activeTripId, itins, budget: tripBudget, stays };
+  // Trips saved before currencies existed were shown in dollars
+  const tripCurrency = tripMeta ? tripMeta.currency || DEFAULT_CURRENCY : currency;
+
+  // ---- Prices ----
+  const rates = useExchangeRates();
+  const [showLocalPrices, setShowLocalPrices] = useState(false); // as quoted, instead of converted
+  const showPrice = (price) => (showLocalPrices ? price : formatPrice(price, tripCurrency, rates));
+
+  // ---- Map filter ----
+  const [mapScope, setMapScope] = useState("all"); // "day" | "all"
+  const [hiddenDays, setHiddenDays] = useState(() => new Set()); // day indexes toggled off in "all"
 
   // ---- Globe sizing / refs ----
   const containerRef = useRef(null);
@@ -244,29 +479,104 @@ const Home = () => {
     if (!itins.length) return [];
 
     const allPlaces = [];
-    let dayNumber = 1;
 
+    // Numbered by position so markers match the day chips even around an empty (imported) day
     itins.forEach((day, dayIndex) => {
-      if (day?.itinerary?.length) {
-        day.itinerary.forEach((place, placeIndex) => {
-          allPlaces.push({
-            ...place,
-            dayNumber: dayNumber,
-            dayIndex: dayIndex,
-            placeIndex: placeIndex,
-            isFirstPlaceOfDay: placeIndex === 0
-          });
+      (day?.itinerary || []).forEach((place, placeIndex) => {
+        allPlaces.push({
+          ...place,
+          dayNumber: dayIndex + 1,
+          dayIndex: dayIndex,
+          placeIndex: placeIndex,
+          isFirstPlaceOfDay: placeIndex === 0
         });
-        dayNumber++; // Increment day number for each day
-      }
+      });
     });
 
     return allPlaces;
   }, [itins]);
 
-  const allRoutePositions = useMemo(() => {
-    return allItineraryData.map(place => [place.location.lat, place.location.lng]);
-  }, [allItineraryData]);
+  // Real leg distances / travel times per day and for the whole trip
+  const travel = useMemo(() => tripTotals(itins), [itins]);
+  const selectedDayTravel = travel.days[selectedDay] || { km: 0, travelMinutes: 0, legs: [] };
+
+  // Chosen hotel per night, and the days as routed from and back to it
+  const nightHotels = useMemo(() => nightlyHotels(stays, itins.length), [stays, itins.length]);
+  const routedDays = useMemo(
+    () => itins.map((day, i) => withHotel(day, nightHotels[i])),
+    [itins, nightHotels]
+  );
+  const selectedHotel = nightHotels[selectedDay] || null;
+
+  // A base hotel covers the whole trip, or the selected day's city on multi-city trips
+  const multiCityTrip = isMultiCity(tripMeta?.legs);
+  const baseDayIndexes = itins
+    .map((_, i) => i)
+    .filter((i) => !multiCityTrip || itins[i]?.city === itins[selectedDay]?.city);
+  const baseScope = multiCityTrip ? `nights in ${itins[selectedDay]?.city}` : "all nights";
+  const selectedHotelIsBase =
+    !!selectedHotel &&
+    (multiCityTrip
+      ? baseDayIndexes.length > 1 && baseDayIndexes.every((i) => nightHotels[i]?.name === selectedHotel.name)
+      : !stays.nights[selectedDay]);
+
+  // Breakfast / lunch / dinner per day from the food near each meal's stops
+  const { dietary: tripDietary } = normalizePreferences(tripMeta?.preferences);
+  const mealPlan = useMemo(
+    () => planMeals(itins, { preferences: tripMeta?.preferences, pins: mealPins }),
+    [itins, tripMeta?.preferences, mealPins]
+  );
+  // Which meal (if any) each restaurant of the selected day is planned for
+  const selectedDayMealSlots = Object.entries(mealPlan[selectedDay] || {}).reduce((slots, [slot, meal]) => {
+    if (meal) slots[`${meal.placeIndex}:${meal.restaurant.name}`] = slot;
+    return slots;
+  }, {});
+
+  // Timeline per day: visits, travel, meal breaks and overrun warnings
+  const mealRestaurants = useMemo(
+    () => mealPlan.map((meals) => ({ lunch: meals.lunch?.restaurant.name, dinner: meals.dinner?.restaurant.name })),
+    [mealPlan]
+  );
+  const schedule = useMemo(
+    () => scheduleTrip(itins, startDate, { startTime, hotels: nightHotels, restaurants: mealRestaurants }),
+    [itins, startDate, startTime, nightHotels, mealRestaurants]
+  );
+  const selectedSchedule = schedule[selectedDay] || { stops: [], meals: [], warnings: [] };
+  const selectedDayVisitMinutes = selectedSchedule.stops.reduce((sum, stop) => sum + stop.visitMinutes, 0);
+
+  // Planned costs per category vs. the budget, and what was actually spent
+  const budgetPlan = useMemo(
+    () =>
+      planTripBudget(itins, {
+        budget: Number(tripBudget) || 0,
+        currency: tripCurrency,
+        rates,
+        hotels: nightHotels,
+        meals: mealPlan.map((meals) => Object.values(meals).map((meal) => meal?.restaurant || null)),
+      }),
+    [itins, tripBudget, tripCurrency, rates, nightHotels, mealPlan]
+  );
+  const actualSpend = useMemo(() => summarizeExpenses(expenses, itins.length), [expenses, itins.length]);
+  const selectedDayBudget = budgetPlan.days[selectedDay];
+
+  // Street-following geometry per day (straight lines until / unless the router answers)
+  const { routes: dayRoutes, status: routeStatus } = useDayRoutes(routedDays);
+
+  // Map filter: the selected day only, or every day not switched off in the legend
+  const isDayOnMap = (dayIndex) =>
+    mapScope === "day" ? dayIndex === selectedDay : !hiddenDays.has(dayIndex);
+  const visibleMapPlaces = allItineraryData.filter((place) => isDayOnMap(place.dayIndex));
+  // One marker per hotel, listing the visible nights spent there
+  const visibleMapHotels = nightHotels.reduce((list, hotel, i) => {
+    if (!hotel || !isDayOnMap(i)) return list;
+    const entry = list.find((h) => h.hotel.name === hotel.name);
+    if (entry) entry.nights.push(i + 1);
+    else list.push({ hotel, nights: [i + 1] });
+    return list;
+  }, []);
+
+  // -------------------- Effects: Abort generation on unmount --------------------
+  useEffect(() => () => controllerRef.current?.abort(), []);
 
   // -------------------- Effects: Map sizing --------------------
   useEffect(() => {
@@ -334,108 +644,979 @@ const Home = () => {
       const d = itins[selectedDay] || itins[0];
       setDayData(d);
 
-      // Center the map on the selected day's location with a slight delay
-      setTimeout(() => {
-        if (mapRef.current && allItineraryData.length > 0) {
-          const dayLocation = allItineraryData.find(place => place.dayNumber === selectedDay + 1);
-          if (dayLocation) {
-            mapRef.current.setView([dayLocation.location.lat, dayLocation.location.lng], 14);
-          }
-        }
-      }, 150);
+      // Frame the selected day's stops (its own city on multi-city trips) with a slight delay
+      setTimeout(() => fitMapToPlaces(mapRef.current, d?.itinerary), 150);
     } else {
       setDayData(null);
     }
-  }, [selectedDay, days, itins, allItineraryData]);
+  }, [selectedDay, days, itins]);
 
   // -------------------- Handlers --------------------
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    // Validate all fields are filled
-    if (!city.trim()) {
-      alert("Please enter a city name");
-      return;
-    }
-
     if (!budget || budget <= 0) {
       alert("Please enter a valid budget amount");
       return;
     }
 
-    if (!inputDays || inputDays <= 0) {
-      alert("Please enter the number of days");
-      return;
+    let trip;
+    if (multiCity) {
+      const problem = validateLegs(legs);
+      if (problem) {
+        alert(problem);
+        return;
+      }
+      const tripLegs = legs.map((leg) => ({ city: leg.city.trim(), nights: Number(leg.nights) }));
+      trip = { tripCity: legsTitle(tripLegs), tripDays: totalNights(tripLegs), tripLegs };
+    } else {
+      // Validate all fields are filled
+      if (!city.trim()) {
+        alert("Please enter a city name");
+        return;
+      }
+
+      if (!inputDays || inputDays <= 0) {
+        alert("Please enter the number of days");
+        return;
+      }
+      trip = { tripCity: city.trim(), tripDays: clamp(Number(inputDays), 1, 21) };
     }
 
     // Clear all previous data before starting new generation
-    setSelectedPlace(null);
-    setSelectedDay(0);
+    cancelEdit();
+    cancelHotelSuggestion();
+    cancelEnrich();
     setDayData(null);
     setItins([]);
     setDays(0);
+    setActiveTripId(null);
+    setImportInfo(null);
+    setHiddenDays(new Set());
+    setExpenses([]);
+    setStays(EMPTY_STAYS);
+    setMealPins(EMPTY_MEAL_PINS);
+    if (location.pathname !== "/") navigate("/");
+
+    await runGeneration({
+      ...trip,
+      tripBudget: Number(budget),
+      tripCurrency: currency,
+      tripPreferences: preferences,
+    });
+  };
+
+  /**
+   * Runs generateItinerary and stores the result. `previousDays` are days that
+   * were kept from an earlier partial run; generation resumes at `startDay`.
+   * `tripLegs` is set for multi-city trips.
+   */
+  const runGeneration = async ({
+    tripCity,
+    tripBudget,
+    tripCurrency,
+    tripDays,
+    tripLegs,
+    tripPreferences,
+    startDay = 1,
+    previousDays = [],
+    tripId = null,
+  }) => {
+    // Only the newest run may write to state; older ones are aborted and ignored
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const runId = ++generationIdRef.current;
+    const isCurrent = () => runId === generationIdRef.current;
+
+    setError(null);
     setLoading(true);
+    history.reset();
+    setTripMeta({
+      city: tripCity,
+      budget: tripBudget,
+      currency: tripCurrency,
+      legs: tripLegs,
+      preferences: tripPreferences,
+    });
+    setItins(previousDays);
+    setProgress({ ready: previousDays.length, generating: null, total: tripDays });
 
     try {
-      const d = clamp(Number(inputDays), 1, 21);
-      const res = await generateItinerary(city.trim(), Number(budget), d);
-      setItins(Array.isArray(res) ? res : []);
-      setDays(d);
+      const res = await generateItinerary(tripCity, tripBudget, tripDays, {
+        startDay,
+        legs: tripLegs,
+        preferences: tripPreferences,
+        currency: tripCurrency,
+        signal: controller.signal,
+        onChunkStart: ({ start, end }) => {
+          if (!isCurrent()) return;
+          setProgress((p) => ({ ...p, generating: { start, end } }));
+        },
+        onChunk: ({ days: chunk, end }) => {
+          if (!isCurrent()) return;
+          // Render each chunk as soon as it arrives
+          setItins((prev) => [...prev, ...chunk]);
+          setDays(tripDays);
+          setProgress((p) => ({ ...p, ready: end, generating: null }));
+        },
+      });
+      if (!isCurrent()) return;
+      const itinerary = [...previousDays, ...res];
+      setItins(itinerary);
+      setDays(tripDays);
+      const savedId = persistTrip({
+        id: tripId,
+        city: tripCity,
+        budget: tripBudget,
+        currency: tripCurrency,
+        days: tripDays,
+        legs: tripLegs,
+        preferences: tripPreferences,
+        itinerary,
+      });
+      showTripRoute(savedId);
     } catch (err) {
+      if (!isCurrent()) return;
       console.error("generateItinerary failed:", err);
-      setItins([]);
-      setDays(0);
-      setDayData(null);
+
+      // Keep whatever finished so far; retry picks up from the first missing day
+      const isPartial = err.name === "PartialItineraryError";
+      const finished = isPartial ? [...previousDays, ...err.days] : previousDays;
+      const failure = finished.length
+        ? new PartialItineraryError(finished, isPartial ? err.nextDay : startDay, isPartial ? err.cause : err)
+        : err;
+
+      // A cancel with nothing finished simply returns to the empty state
+      setError(failure.name === "CancelledError" ? null : failure);
+      setItins(finished);
+      setDays(finished.length ? tripDays : 0);
+
+      const request = { tripCity, tripBudget, tripCurrency, tripDays, tripLegs, tripPreferences };
+      if (finished.length) {
+        const savedId = persistTrip({
+          id: tripId,
+          city: tripCity,
+          budget: tripBudget,
+          currency: tripCurrency,
+          days: tripDays,
+          legs: tripLegs,
+          preferences: tripPreferences,
+          itinerary: finished,
+        });
+        showTripRoute(savedId);
+        retryRef.current = () =>
+          runGeneration({
+            ...request,
+            startDay: failure.nextDay,
+            previousDays: failure.days,
+            tripId: savedId,
+          });
+      } else {
+        setDayData(null);
+        retryRef.current = () => runGeneration(request);
+      }
     } finally {
-      setLoading(false);
+      if (isCurrent()) {
+        controllerRef.current = null;
+        setLoading(false);
+        setProgress(null);
+      }
     }
   };
 
-  const handleDayChipClick = (i) => {
-    setSelectedDay(i);
-    setSelectedPlace(null);
+  const handleCancel = () => {
+    controllerRef.current?.abort();
+  };
 
-    // Use setTimeout to ensure the map is ready and dayData is updated
-    setTimeout(() => {
-      // Find the location for this specific day number
-      const dayLocation = allItineraryData.find(place => place.dayNumber === i + 1);
-      if (dayLocation && mapRef.current) {
-        mapRef.current.setView([dayLocation.location.lat, dayLocation.location.lng], 14);
+  // Saves (or updates) a trip in the library and returns its id
+  const persistTrip = (trip) => {
+    try {
+      const saved = saveTrip(trip);
+      setActiveTripId(saved.id);
+      setSavedTrips(listTrips());
+      return saved.id;
+    } catch (saveErr) {
+      console.error("saveTrip failed:", saveErr);
+      return trip.id || null;
+    }
+  };
+
+  const handleRetry = () => {
+    retryRef.current?.();
+  };
+
+  // -------------------- Routing --------------------
+  const tripPath = (tripId = activeTripId) => `/trip/${encodeURIComponent(tripId || DRAFT_TRIP_ID)}`;
+  const dayPath = (dayIndex, tripId) => `${tripPath(tripId)}/day/${dayIndex + 1}`;
+  const placePath = (dayIndex, placeIndex, tripId) => `${dayPath(dayIndex, tripId)}/place/${placeIndex + 1}`;
+
+  // Gives a generated trip its saved URL, keeping the day / place on screen
+  const showTripRoute = (tripId) => {
+    const { pathname } = locationRef.current;
+    if (!tripId) return;
+    if (pathname.startsWith(tripPath(DRAFT_TRIP_ID))) {
+      navigate(tripPath(tripId) + pathname.slice(tripPath(DRAFT_TRIP_ID).length), { replace: true });
+    } else if (!pathname.startsWith("/trip")) {
+      navigate(dayPath(0, tripId));
+    }
+  };
+
+  const openPlace = (dayIndex, placeIndex) => {
+    // fromApp tells the back button it can simply pop this entry
+    navigate(placePath(dayIndex, placeIndex), { state: { fromApp: true } });
+  };
+
+  // Closes the detail panel when the stop under it changes, without a new history entry
+  const closePlace = () => {
+    const { pathname } = locationRef.current;
+    if (pathname.includes("/place/")) navigate(pathname.replace(/\/place\/[^/]*$/, ""), { replace: true });
+  };
+
+  // Opens a trip from a share link: reuses the local copy when it is identical,
+  // otherwise saves the shared trip into this browser's library.
+  const openSharedTrip = async (tripId, value) => {
+    try {
+      const shared = await decodeSharePayload(value);
+      const existing = getTrip(tripId);
+      const trip =
+        existing && JSON.stringify(existing.itinerary) === JSON.stringify(shared.itinerary)
+          ? existing
+          : saveTrip({
+              city: shared.city,
+              budget: shared.budget,
+              currency: shared.currency,
+              days: shared.itinerary.length,
+              itinerary: shared.itinerary,
+              startDate: shared.startDate || undefined,
+              startTime: shared.startTime,
+              legs: shared.legs,
+              preferences: shared.preferences,
+              stays: shared.stays,
+              meals: shared.meals,
+            });
+      setSavedTrips(listTrips());
+
+      // Replace the long share URL with the shared day / place route
+      handleOpenTrip(trip, {
+        path:
+          shared.selectedPlace === null
+            ? dayPath(shared.selectedDay, trip.id)
+            : placePath(shared.selectedDay, shared.selectedPlace, trip.id),
+        replace: true,
+      });
+    } catch (err) {
+      console.error("Opening share link failed:", err);
+      setError(err);
+      retryRef.current = null;
+      navigate("/", { replace: true });
+    }
+  };
+
+  routeHandlerRef.current = ({ pathname, hash }) => {
+    if (routeTripId) {
+      const shared = readShareHash(hash);
+      if (shared) {
+        openSharedTrip(routeTripId, shared);
+        return;
+      }
+
+      // Moving between days and stops of the trip on screen
+      if (routeTripId === (activeTripId || DRAFT_TRIP_ID) && itins.length) return;
+      // A draft only lives in memory; after a reload there is nothing to show
+      if (routeTripId === DRAFT_TRIP_ID) {
+        navigate("/", { replace: true });
+        return;
+      }
+
+      const trip = getTrip(routeTripId);
+      if (trip) {
+        handleOpenTrip(trip, { path: dayNumber ? pathname : undefined, replace: true });
+      } else {
+        setError(
+          new ItineraryError("This trip is not saved in this browser. Ask for a share link instead.", {
+            title: "Trip not found",
+            retryable: false,
+          })
+        );
+        retryRef.current = null;
+        navigate("/", { replace: true });
       }
-    }, 100);
+      return;
+    }
+
+    // Bare /trip: reopen the trip that was on screen last
+    if (pathname === "/trip" && !itins.length && !loading) {
+      const trip = getTrip(getLastTripId());
+      if (trip) handleOpenTrip(trip, { replace: true });
+      else navigate("/", { replace: true });
+    }
   };
 
-  const handleBackFromDetail = () => {
-    setSelectedPlace(null);
+  // React to the URL: on load, on back/forward and for pasted links
+  useEffect(() => {
+    const routeKey = `${location.pathname}${location.hash}`;
+    if (handledRouteRef.current === routeKey) return;
+    handledRouteRef.current = routeKey;
+    routeHandlerRef.current(location);
+  }, [location]);
+
+  // Remember the trip on screen so a bare /trip can reopen it after a reload
+  useEffect(() => {
+    if (activeTripId) setLastTripId(activeTripId);
+  }, [activeTripId]);
+
+  // -------------------- Undo / redo --------------------
+  // Restores a { itins, budget } snapshot and keeps the library copy in sync
+  const applySnapshot = ({ itins: nextItins, budget: nextBudget }) => {
+    setItins(nextItins);
+    setTripMeta((meta) => (meta ? { ...meta, budget: nextBudget } : meta));
+    if (activeTripId) {
+      persistTrip({ id: activeTripId, itinerary: nextItins, budget: nextBudget });
+    }
   };
+  const history = useUndoHistory(applySnapshot);
+  const { undo, redo } = history;
 
-  // -------------------- Helpers --------------------
+  // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y), except while typing in a field
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || e.target?.isContentEditable) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [undo, redo]);
+
+  // Replaces the itinerary of the trip on screen as one undoable command.
+  // `change` is the next itinerary or a function of the current one (null to skip).
+  const updateItinerary = (change, label) => {
+    const { itins: current, budget: currentBudget } = screenRef.current;
+    const nextItins = typeof change === "function" ? change(current) : change;
+    if (!nextItins || nextItins === current) return;
+    history.execute(
+      label,
+      { itins: current, budget: currentBudget },
+      { itins: nextItins, budget: currentBudget }
+    );
+  };
 
-  const getFoodRecommendation = (place) => {
-    // Return data from Gemini API if available, otherwise fallback
-    if (place.nearbyFood && place.nearbyFood.length > 0) {
-      return place.nearbyFood[0]; // Return first restaurant from API
+  const handleChangeBudget = () => {
+    const current = tripMeta?.budget;
+    const input = window.prompt(`Trip budget (${tripCurrency})`, current ?? "");
+    if (input === null) return;
+    const nextBudget = Number(input);
+    if (!nextBudget || nextBudget <= 0) {
+      alert("Please enter a valid budget amount");
+      return;
     }
+    if (nextBudget === current) return;
+    history.execute(
+      `Budget ${formatMoney(current, tripCurrency)} → ${formatMoney(nextBudget, tripCurrency)}`,
+      { itins, budget: current },
+      { itins, budget: nextBudget }
+    );
+  };
+
+  // -------------------- Handlers: manual editor --------------------
+  const handleCardDragStart = (e, placeIndex) => {
+    dragRef.current = { dayIndex: selectedDay, placeIndex };
+    e.dataTransfer.effectAllowed = "move";
+  };
+
+  const handleDropOnCard = (e, targetIndex) => {
+    e.preventDefault();
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag) return;
+    const name = itins[drag.dayIndex]?.itinerary?.[drag.placeIndex]?.name;
+    updateItinerary(
+      movePlace(itins, drag.dayIndex, drag.placeIndex, selectedDay, targetIndex),
+      drag.dayIndex === selectedDay ? `Reorder "${name}"` : `Move "${name}" to Day ${selectedDay + 1}`
+    );
+  };
+
+  const handleDropOnDay = (e, dayIndex) => {
+    e.preventDefault();
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.dayIndex === dayIndex) return;
+    const name = itins[drag.dayIndex]?.itinerary?.[drag.placeIndex]?.name;
+    updateItinerary(
+      movePlace(itins, drag.dayIndex, drag.placeIndex, dayIndex),
+      `Move "${name}" to Day ${dayIndex + 1}`
+    );
+  };
+
+  const handleMoveStop = (placeIndex, step) => {
+    updateItinerary(
+      reorderPlace(itins, selectedDay, placeIndex, placeIndex + step),
+      `Reorder "${dayData.itinerary[placeIndex].name}"`
+    );
+  };
+
+  const handleMoveToDay = (placeIndex, dayIndex) => {
+    updateItinerary(
+      movePlace(itins, selectedDay, placeIndex, dayIndex),
+      `Move "${dayData.itinerary[placeIndex].name}" to Day ${dayIndex + 1}`
+    );
+  };
+
+  const handleRemoveStop = (placeIndex) => {
+    updateItinerary(
+      removePlace(itins, selectedDay, placeIndex),
+      `Delete "${dayData.itinerary[placeIndex].name}"`
+    );
+    closePlace();
+  };
 
-    // Fallback for when API data isn't available
+  const handleStartAddStop = () => {
+    setAddingStop(true);
+    setPickedLocation(null);
+    closePlace();
+  };
+
+  const handleStartPick = () => {
+    setPickingLocation(true);
+    closePlace();
+  };
+
+  const handleMapPick = (location) => {
+    setPickedLocation(location);
+    setPickingLocation(false);
+  };
+
+  const handleAddStop = (stop) => {
+    updateItinerary(addPlace(itins, selectedDay, stop), `Add "${stop.name}"`);
+    setAddingStop(false);
+    setPickedLocation(null);
+  };
+
+  const handleCancelAddStop = () => {
+    setAddingStop(false);
+    setPickingLocation(false);
+    setPickedLocation(null);
+  };
+
+  const handleToggleEditMode = () => {
+    setEditMode((on) => !on);
+    handleCancelAddStop();
+  };
+
+  // -------------------- Handlers: route optimizer --------------------
+  // A proposal only applies to the day and itinerary it was computed from
+  const activeRouteProposal =
+    routeProposal && routeProposal.source === itins && routeProposal.dayIndex === selectedDay
+      ? routeProposal
+      : null;
+
+  const handleOptimizeRoute = () => {
+    // With a hotel the day is a loop out from it and back; otherwise an open walk
+    const options = selectedHotel
+      ? { start: selectedHotel.location, roundTrip: true }
+      : { fixFirst: keepFirstStop };
+    const result = optimizeDay(itins[selectedDay], options);
+    setRouteProposal({ ...result, dayIndex: selectedDay, source: itins, hotel: selectedHotel });
+  };
+
+  const handleAcceptRoute = () => {
+    const { dayIndex, itinerary, savedKm } = activeRouteProposal;
+    updateItinerary(
+      itins.map((d, i) => (i === dayIndex ? { ...d, itinerary } : d)),
+      `Optimize Day ${dayIndex + 1} route (−${formatDistance(savedKm)})`
+    );
+    setRouteProposal(null);
+    closePlace();
+  };
+
+  const handleRejectRoute = () => {
+    setRouteProposal(null);
+  };
+
+  // -------------------- Handlers: regenerate a day / replace a stop --------------------
+  // Starts a Gemini edit of the trip on screen. Its result is dropped when
+  // cancelEdit runs first or another trip is on screen by the time it arrives.
+  const startEdit = () => {
+    editControllerRef.current?.abort();
+    const controller = new AbortController();
+    editControllerRef.current = controller;
+    const tripId = activeTripId;
     return {
-      name: "Local Restaurant",
-      rating: "4.0/5",
-      distance: "500m away",
-      description: "Popular local restaurant with authentic cuisine."
+      signal: controller.signal,
+      isCurrent: () => editControllerRef.current === controller && screenRef.current.tripId === tripId,
+      // true when this was still the latest edit, so its busy state may be cleared
+      finish: () => {
+        if (editControllerRef.current !== controller) return false;
+        editControllerRef.current = null;
+        return true;
+      },
     };
   };
 
-  const getTimeOfDay = (index) => {
-    const times = ["Morning", "Afternoon", "Evening", "Morning", "Afternoon", "Evening"];
-    return times[index % times.length];
+  const cancelEdit = () => {
+    editControllerRef.current?.abort();
+    editControllerRef.current = null;
+    setPendingEdit(null);
   };
 
-  const getDuration = (index) => {
-    const durations = ["2 hours", "2 hours", "2 hours", "3 hours", "4 hours", "3 hours"];
-    return durations[index % durations.length];
+  const handleRegenerateDay = async (dayIndex) => {
+    if (!tripMeta || pendingEdit) return;
+    setError(null);
+    setPendingEdit({ dayIndex });
+    const edit = startEdit();
+
+    try {
+      const day = await regenerateDay(tripMeta.city, tripMeta.budget, itins, dayIndex, {
+        signal: edit.signal,
+        preferences: tripMeta.preferences,
+        currency: tripMeta.currency,
+      });
+      if (!edit.isCurrent()) return;
+      updateItinerary(
+        (current) => (current[dayIndex] ? current.map((d, i) => (i === dayIndex ? day : d)) : null),
+        `Regenerate Day ${dayIndex + 1}`
+      );
+      closePlace();
+    } catch (err) {
+      if (!edit.isCurrent()) return;
+      console.error("regenerateDay failed:", err);
+      setError(err);
+      retryRef.current = () => handleRegenerateDay(dayIndex);
+    } finally {
+      if (edit.finish()) setPendingEdit(null);
+    }
+  };
+
+  const handleReplacePlace = async (dayIndex, placeIndex) => {
+    if (!tripMeta || pendingEdit) return;
+    setError(null);
+    setPendingEdit({ dayIndex, placeIndex });
+    const edit = startEdit();
+    const replaced = itins[dayIndex].itinerary[placeIndex];
+
+    try {
+      const place = await replacePlace(tripMeta.city, tripMeta.budget, itins, dayIndex, placeIndex, {
+        signal: edit.signal,
+        preferences: tripMeta.preferences,
+        currency: tripMeta.currency,
+      });
+      if (!edit.isCurrent()) return;
+      // The stop may have moved or gone while the request was out; replace it wherever it is now
+      updateItinerary(
+        (current) =>
+          current.some((d) => d.itinerary?.includes(replaced))
+            ? current.map((d) =>
+                d.itinerary?.includes(replaced)
+                  ? { ...d, itinerary: d.itinerary.map((p) => (p === replaced ? place : p)) }
+                  : d
+              )
+            : null,
+        `Replace "${replaced.name}" with "${place.name}"`
+      );
+    } catch (err) {
+      if (!edit.isCurrent()) return;
+      console.error("replacePlace failed:", err);
+      setError(err);
+      retryRef.current = () => handleReplacePlace(dayIndex, placeIndex);
+    } finally {
+      if (edit.finish()) setPendingEdit(null);
+    }
+  };
+
+  const handleDayChipClick = (i) => {
+    if (location.pathname !== dayPath(i)) navigate(dayPath(i));
+
+    // Use setTimeout to ensure the map is ready and dayData is updated
+    setTimeout(() => fitMapToPlaces(mapRef.current, itins[i]?.itinerary), 100);
   };
 
+  const handleToggleMapDay = (dayIndex) => {
+    setHiddenDays((prev) => {
+      const next = new Set(prev);
+      if (next.has(dayIndex)) next.delete(dayIndex);
+      else next.add(dayIndex);
+      return next;
+    });
+  };
+
+  const handleBackFromDetail = () => {
+    // Opened from inside the app: a real "back", so this button and the browser's agree.
+    // Opened from a link: there is nothing to go back to, so step up to the day.
+    if (location.state?.fromApp) navigate(-1);
+    else navigate(dayPath(selectedDay), { replace: true });
+  };
+
+  // -------------------- Handlers: exports --------------------
+  const currentTrip = () => ({
+    city: tripMeta?.city || city,
+    budget: tripBudget,
+    currency: tripCurrency,
+    legs: tripMeta?.legs,
+    preferences: tripMeta?.preferences,
+    stays,
+    meals: mealPins,
+    days,
+    itinerary: itins,
+    startDate: startDate || undefined,
+    startTime,
+  });
+
+  const handleStartDateChange = (value) => {
+    setStartDate(value);
+    if (activeTripId) {
+      persistTrip({ id: activeTripId, startDate: value });
+    }
+  };
+
+  const handleStartTimeChange = (value) => {
+    if (!isClockTime(value)) return;
+    setStartTime(value);
+    if (activeTripId) {
+      persistTrip({ id: activeTripId, startTime: value });
+    }
+  };
+
+  const handleExportIcs = () => {
+    if (!startDate) {
+      alert("Pick the date of Day 1 first");
+      return;
+    }
+    const trip = currentTrip();
+    const ics = buildIcs({ city: trip.city, tripId: activeTripId, schedule });
+    downloadFile(ics, `${fileSlug(trip.city)}-itinerary.ics`, "text/calendar;charset=utf-8");
+  };
+
+  const handleExportPdf = async () => {
+    setExporting("pdf");
+    try {
+      await exportItineraryPdf(currentTrip(), { rates });
+    } catch (err) {
+      console.error("PDF export failed:", err);
+      alert("Could not create the PDF. Please try again.");
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleShare = async () => {
+    setShareStatus("copying");
+    try {
+      const value = await encodeSharePayload(currentTrip(), {
+        day: selectedDay,
+        place: selectedPlace ? selectedPlaceIndex : null,
+      });
+      const url = buildShareUrl(window.location.origin, activeTripId, value);
+
+      try {
+        await navigator.clipboard.writeText(url);
+        setShareStatus("copied");
+        setTimeout(() => setShareStatus(null), 2000);
+      } catch {
+        setShareStatus(null);
+        window.prompt("Copy this link to share the trip:", url);
+      }
+    } catch (err) {
+      console.error("Share link failed:", err);
+      setShareStatus(null);
+      alert("Could not create a share link.");
+    }
+  };
+
+  const handleExportRoute = (format) => {
+    const { label, build, extension, mimeType } = ROUTE_FORMATS[format];
+    try {
+      const trip = currentTrip();
+      downloadFile(build(trip), `${fileSlug(trip.city)}-route.${extension}`, mimeType);
+    } catch (err) {
+      console.error(`${label} export failed:`, err);
+      alert(`Could not create the ${label} file.`);
+    }
+  };
+
+  // -------------------- Handlers: saved trips --------------------
+  // Drops any generation or Gemini edit still in flight without touching the trip on screen
+  const stopGeneration = () => {
+    cancelEdit();
+    cancelHotelSuggestion();
+    cancelEnrich();
+    controllerRef.current?.abort();
+    generationIdRef.current++;
+    controllerRef.current = null;
+    setLoading(false);
+    setProgress(null);
+  };
+
+  // `path` is where to land (day 1 by default); `replace` when redirecting from a link
+  const handleOpenTrip = (trip, { path = dayPath(0, trip.id), replace = false } = {}) => {
+    // Opening a saved trip supersedes any generation still in flight
+    stopGeneration();
+    setImportInfo(null);
+    setHiddenDays(new Set());
+    navigate(path, { replace });
+
+    // Saved trips may come from an old version, a share link or an import
+    const fields = normalizeTripFields(trip);
+    setCity(trip.city);
+    setBudget(fields.budget ?? "");
+    setCurrency(fields.currency || DEFAULT_CURRENCY);
+    setInputDays(trip.days);
+    setMultiCity(isMultiCity(fields.legs));
+    if (isMultiCity(fields.legs)) setLegs(fields.legs);
+    setPreferences(normalizePreferences(fields.preferences));
+    setItins(trip.itinerary || []);
+    setDays(trip.days);
+    setActiveTripId(trip.id);
+    setTripMeta({
+      city: trip.city,
+      budget: fields.budget,
+      currency: fields.currency,
+      legs: fields.legs,
+      preferences: fields.preferences,
+    });
+    setStartDate(fields.startDate || "");
+    setStartTime(fields.startTime || DEFAULT_START_TIME);
+    setExpenses(trip.expenses || []);
+    setStays(fields.stays || EMPTY_STAYS);
+    setMealPins(fields.meals || EMPTY_MEAL_PINS);
+    setError(null);
+    history.reset();
+  };
+
+  // -------------------- Handlers: budget --------------------
+  const saveExpenses = (next) => {
+    setExpenses(next);
+    if (activeTripId) persistTrip({ id: activeTripId, expenses: next });
+  };
+
+  const handleAddExpense = (expense) => {
+    const id = `exp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    saveExpenses([...expenses, { id, ...expense }]);
+  };
+
+  const handleRemoveExpense = (id) => {
+    saveExpenses(expenses.filter((expense) => expense.id !== id));
+  };
+
+  // -------------------- Handlers: hotels --------------------
+  const saveStays = (next) => {
+    setStays(next);
+    if (activeTripId) persistTrip({ id: activeTripId, stays: next });
+  };
+
+  // `stays` with `hotel` as the base for the nights of `dayIndexes` (the city of `dayIndex`)
+  const withBaseHotel = (current, hotel, dayIndex, dayIndexes) =>
+    multiCityTrip
+      ? // Each city has its own base: set it on every night spent there
+        dayIndexes.reduce((next, i) => setStay(next, i, hotel), current)
+      : setStay(setStay(current, dayIndex, null), null, hotel);
+
+  const applyBaseHotel = (hotel) => {
+    saveStays(withBaseHotel(stays, hotel, selectedDay, baseDayIndexes));
+  };
+
+  const handleChooseHotel = (hotel, scope) => {
+    if (scope === "base") applyBaseHotel(hotel);
+    else saveStays(setStay(stays, selectedDay, hotel));
+  };
+
+  const handleClearHotel = (scope) => {
+    if (scope === "night") saveStays(setStay(stays, selectedDay, null));
+    else if (multiCityTrip) applyBaseHotel(null);
+    else saveStays(setStay(stays, null, null));
+  };
+
+  const cancelHotelSuggestion = () => {
+    hotelControllerRef.current?.abort();
+    hotelControllerRef.current = null;
+    setSuggestingHotel(false);
+  };
+
+  const handleSuggestHotel = async () => {
+    if (!tripMeta || suggestingHotel) return;
+    setSuggestingHotel(true);
+    setError(null);
+    const controller = new AbortController();
+    hotelControllerRef.current = controller;
+    const tripId = activeTripId;
+    const dayIndex = selectedDay;
+    const dayIndexes = baseDayIndexes;
+    // Dropped when cancelled or once another trip is on screen
+    const isCurrent = () => hotelControllerRef.current === controller && screenRef.current.tripId === tripId;
+
+    try {
+      const hotel = await suggestBaseHotel(
+        multiCityTrip ? itins[dayIndex].city : tripMeta.city,
+        tripMeta.budget,
+        itins,
+        dayIndexes,
+        { signal: controller.signal, preferences: tripMeta.preferences, currency: tripMeta.currency }
+      );
+      if (!isCurrent()) return;
+      // Build on the stays as they are now: a night may have been picked meanwhile
+      saveStays(withBaseHotel(screenRef.current.stays, hotel, dayIndex, dayIndexes));
+    } catch (err) {
+      if (!isCurrent()) return;
+      console.error("suggestBaseHotel failed:", err);
+      setError(err);
+      retryRef.current = handleSuggestHotel;
+    } finally {
+      if (hotelControllerRef.current === controller) {
+        hotelControllerRef.current = null;
+        setSuggestingHotel(false);
+      }
+    }
+  };
+
+  // -------------------- Handlers: meals --------------------
+  const handleSwapMeal = (slot, restaurantName) => {
+    const next = pinMeal(mealPins, selectedDay, slot, restaurantName);
+    setMealPins(next);
+    if (activeTripId) persistTrip({ id: activeTripId, meals: next });
+  };
+
+  // -------------------- Handlers: import --------------------
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow re-importing the same file
+    if (!file) return;
+
+    try {
+      const result = parseItineraryFile(await file.text(), file.name);
+      const tripCity = (result.city || window.prompt("Which city is this itinerary for?", city) || "").trim();
+      if (!tripCity) return;
+
+      const saved = saveTrip({
+        name: file.name.replace(/\.[^.]+$/, ""),
+        city: tripCity,
+        budget: Number(result.budget) || Number(budget) || 0,
+        currency: result.currency || currency,
+        days: result.itinerary.length,
+        legs: result.legs,
+        preferences: result.preferences,
+        stays: result.stays,
+        meals: result.meals,
+        itinerary: result.itinerary,
+      });
+      setSavedTrips(listTrips());
+      handleOpenTrip(saved);
+      setImportInfo({ filename: file.name, needsEnrichment: result.needsEnrichment });
+    } catch (err) {
+      console.error("Import failed:", err);
+      setError(err instanceof ImportError ? err : new ImportError(err.message));
+      retryRef.current = null;
+    }
+  };
+
+  const cancelEnrich = () => {
+    enrichControllerRef.current?.abort();
+    enrichControllerRef.current = null;
+    setEnriching(false);
+  };
+
+  const handleEnrich = async () => {
+    if (!tripMeta || enriching) return;
+    setEnriching(true);
+    setError(null);
+    const controller = new AbortController();
+    enrichControllerRef.current = controller;
+    const tripId = activeTripId;
+    // Dropped when cancelled or once another trip is on screen
+    const isCurrent = () => enrichControllerRef.current === controller && screenRef.current.tripId === tripId;
+
+    try {
+      const enriched = await enrichItinerary(tripMeta.city, itins, {
+        signal: controller.signal,
+        preferences: tripMeta.preferences,
+      });
+      if (!isCurrent()) return;
+      updateItinerary(enriched, "Enrich imported stops");
+      setImportInfo((info) => (info ? { ...info, needsEnrichment: false } : info));
+    } catch (err) {
+      if (!isCurrent()) return;
+      console.error("enrichItinerary failed:", err);
+      if (err.name === "PartialItineraryError") {
+        // Keep the days that were enriched before the failure
+        updateItinerary(
+          (current) => [...err.days, ...current.slice(err.days.length)],
+          "Enrich imported stops (partial)"
+        );
+      }
+      setError(err);
+      retryRef.current = handleEnrich;
+    } finally {
+      if (enrichControllerRef.current === controller) {
+        enrichControllerRef.current = null;
+        setEnriching(false);
+      }
+    }
+  };
+
+  const handleRenameTrip = (trip) => {
+    const name = window.prompt("Rename trip", trip.name);
+    if (name === null) return;
+    try {
+      renameTrip(trip.id, name);
+      setSavedTrips(listTrips());
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleDuplicateTrip = (trip) => {
+    try {
+      duplicateTrip(trip.id);
+      setSavedTrips(listTrips());
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleDeleteTrip = (trip) => {
+    if (!window.confirm(`Delete "${trip.name}"?`)) return;
+    try {
+      deleteTrip(trip.id);
+      setSavedTrips(listTrips());
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    if (trip.id === activeTripId) {
+      setActiveTripId(null);
+      setLastTripId(null);
+    }
+  };
+
+  // -------------------- Helpers --------------------
+
+  // "Morning • 09:00–11:00 • ~2 h"; "~" marks a default visit length
+  const getStopTime = (stop) =>
+    stop
+      ? `${stop.timeOfDay} • ${formatClock(stop.start)}–${formatClock(stop.end)} • ${
+          stop.estimated ? "~" : ""
+        }${formatMinutes(stop.visitMinutes)}`
+      : "";
+
+  // "🚶 850 m · 11 min from previous stop" using the leg's suggested mode
+  const getLegSummary = (leg) =>
+    `${TRAVEL_MODES[leg.mode].icon} ${formatDistance(leg.km)} · ${formatMinutes(leg.minutes)} from previous stop`;
+
+  // "1.2 km from the previous stop: 🚶 21 min · 🚇 14 min · 🚗 9 min"
+  const getLegModes = (leg) =>
+    `${formatDistance(leg.km)} from the previous stop: ` +
+    Object.entries(TRAVEL_MODES)
+      .map(([mode, { icon }]) => `${icon} ${formatMinutes(leg.byMode[mode])}`)
+      .join(" · ");
+
   const getImageForPlace = (place) => {
     const key = (place.name || place.location?.label || "place").toLowerCase();
     const imageUrl = dayImageMap[key] || place.image;
@@ -491,7 +1672,18 @@ const Home = () => {
         <div style={styles.leftPanel} className="left-panel">
           {/* Form */}
           <form onSubmit={handleSubmit} style={styles.form}>
+            <label style={styles.multiCityToggle}>
+              <input
+                type="checkbox"
+                checked={multiCity}
+                onChange={(e) => setMultiCity(e.target.checked)}
+              />{" "}
+              🧳 Multi-city trip
+            </label>
             <div style={styles.row} className="form-row">
+              {multiCity ? (
+                <LegsEditor legs={legs} onChange={setLegs} />
+              ) : (
               <input
                 type="text"
                 placeholder="City (e.g., Kyoto) *"
@@ -503,6 +1695,7 @@ const Home = () => {
                 }}
                 required
               />
+              )}
               <input
                 type="number"
                 inputMode="numeric"
@@ -518,6 +1711,19 @@ const Home = () => {
                 }}
                 required
               />
+              <select
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+                style={{ ...styles.input, width: "auto", flex: "0 0 auto" }}
+                title="Trip currency"
+              >
+                {Object.entries(CURRENCIES).map(([code, name]) => (
+                  <option key={code} value={code} title={name}>
+                    {code}
+                  </option>
+                ))}
+              </select>
+              {!multiCity && (
               <input
                 type="number"
                 inputMode="numeric"
@@ -535,24 +1741,110 @@ const Home = () => {
                 }}
                 required
               />
+              )}
+            </div>
+            <PreferencesPanel preferences={preferences} onChange={setPreferences} />
+            <div style={styles.formActions}>
+              <button
+                type="submit"
+                style={{
+                  ...styles.button,
+                  flex: 1,
+                  opacity: formReady ? 1 : 0.5,
+                  cursor: formReady ? "pointer" : "not-allowed"
+                }}
+                disabled={!formReady}
+                title={loading ? "Stop the current request and start over with these details" : undefined}
+              >
+                {loading ? "Regenerate" : "Generate"}
+              </button>
+              {loading && (
+                <button type="button" style={styles.cancelButton} onClick={handleCancel}>
+                  Cancel
+                </button>
+              )}
             </div>
-            <button
-              type="submit"
-              style={{
-                ...styles.button,
-                opacity: (!city.trim() || !budget || !inputDays) ? 0.5 : 1,
-                cursor: (!city.trim() || !budget || !inputDays) ? "not-allowed" : "pointer"
-              }}
-              disabled={loading || !city.trim() || !budget || !inputDays}
-            >
-              {loading ? "Generating…" : "Generate"}
-            </button>
           </form>
 
+          {/* Generation error */}
+          {!loading && (
+            <ErrorPanel
+              error={error}
+              onRetry={handleRetry}
+              onDismiss={() => setError(null)}
+            />
+          )}
+
+          {/* Import */}
+          {!loading && (
+            <div style={styles.importRow}>
+              <button
+                style={styles.exportBtn}
+                onClick={() => importInputRef.current?.click()}
+                title="Load an itinerary JSON, GeoJSON or GPX file"
+              >
+                📂 Import itinerary
+              </button>
+              <span style={styles.importHint}>JSON, GeoJSON or GPX</span>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".json,.geojson,.gpx,application/json,application/geo+json,application/gpx+xml"
+                onChange={handleImportFile}
+                style={{ display: "none" }}
+              />
+            </div>
+          )}
+
+          {!loading && importInfo && days > 0 && (
+            <div style={styles.importNotice}>
+              <span>
+                Imported <b>{importInfo.filename}</b>
+                {importInfo.needsEnrichment
+                  ? " — some stops have no description or food/hotel picks."
+                  : "."}
+              </span>
+              {importInfo.needsEnrichment && (
+                <button
+                  style={styles.exportBtn}
+                  onClick={handleEnrich}
+                  disabled={enriching}
+                >
+                  {enriching ? "Enriching…" : "✨ Enrich with Gemini"}
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Saved trips */}
+          {!loading && (
+            <TripLibrary
+              trips={savedTrips}
+              activeTripId={activeTripId}
+              onOpen={handleOpenTrip}
+              onRename={handleRenameTrip}
+              onDuplicate={handleDuplicateTrip}
+              onDelete={handleDeleteTrip}
+            />
+          )}
 
+          {/* Generation progress */}
+          {loading && progress && (
+            <div style={styles.progressWrap}>
+              <div style={styles.progressText}>{formatProgress(progress)}</div>
+              <div style={styles.progressTrack}>
+                <div
+                  style={{
+                    ...styles.progressFill,
+                    width: `${Math.round((progress.ready / progress.total) * 100)}%`,
+                  }}
+                />
+              </div>
+            </div>
+          )}
 
           {/* Loading shimmer */}
-          {loading && (
+          {loading && itins.length === 0 && (
             <div
               style={{
                 ...styles.loadingWrap,
@@ -578,23 +1870,114 @@ const Home = () => {
           )}
 
           {/* Trip meta */}
-          {!loading && days > 0 && (
+          {days > 0 && (
             <div style={styles.meta}>
               <div>
-                <span style={styles.metaKey}>City:</span> {city || "—"}
+                <span style={styles.metaKey}>{isMultiCity(tripMeta?.legs) ? "Cities:" : "City:"}</span>{" "}
+                {tripMeta?.city || city || "—"}
               </div>
               <div>
                 <span style={styles.metaKey}>Budget:</span>{" "}
-                {budget ? `$${budget}` : "—"}
+                {tripBudget ? formatMoney(Number(tripBudget), tripCurrency) : "—"}
+                {!loading && tripMeta && (
+                  <button
+                    style={styles.metaEditBtn}
+                    onClick={handleChangeBudget}
+                    title="Change trip budget"
+                  >
+                    ✎
+                  </button>
+                )}
               </div>
               <div>
                 <span style={styles.metaKey}>Days:</span> {days}
               </div>
+              <div>
+                <span style={styles.metaKey}>Prices:</span>
+                {showLocalPrices ? "local currency" : tripCurrency}
+                <button
+                  style={styles.metaEditBtn}
+                  onClick={() => setShowLocalPrices((local) => !local)}
+                  title={
+                    showLocalPrices
+                      ? `Convert prices to ${tripCurrency}`
+                      : `Show prices as quoted · rates ${rates.source}, ${rates.asOf}`
+                  }
+                >
+                  ⇄
+                </button>
+              </div>
             </div>
           )}
 
-          {/* Day chips */}
+          {/* Exports */}
           {!loading && days > 0 && itins.length > 0 && (
+            <div style={styles.exportRow}>
+              <button
+                style={styles.exportBtn}
+                onClick={handleExportPdf}
+                disabled={!!exporting}
+              >
+                {exporting === "pdf" ? "Preparing PDF…" : "📄 Export PDF"}
+              </button>
+              <label style={styles.exportDate}>
+                Day 1
+                <input
+                  type="date"
+                  value={startDate}
+                  onChange={(e) => handleStartDateChange(e.target.value)}
+                  style={styles.exportDateInput}
+                />
+              </label>
+              <label style={styles.exportDate} title="When each day starts">
+                Start
+                <input
+                  type="time"
+                  value={startTime}
+                  onChange={(e) => handleStartTimeChange(e.target.value)}
+                  style={styles.exportDateInput}
+                />
+              </label>
+              <button
+                style={{ ...styles.exportBtn, opacity: startDate ? 1 : 0.5 }}
+                onClick={handleExportIcs}
+                title={startDate ? "Download an .ics file with one event per stop" : "Pick the date of Day 1 first"}
+              >
+                📅 Export calendar
+              </button>
+              {Object.entries(ROUTE_FORMATS).map(([format, { label }]) => (
+                <button
+                  key={format}
+                  style={styles.exportBtn}
+                  onClick={() => handleExportRoute(format)}
+                  title={`Download the route as ${label}`}
+                >
+                  🧭 {label}
+                </button>
+              ))}
+              <button
+                style={styles.exportBtn}
+                onClick={handleShare}
+                disabled={shareStatus === "copying"}
+                title="Copy a link that opens this exact trip, day and place"
+              >
+                {shareStatus === "copied" ? "✓ Link copied" : "🔗 Share link"}
+              </button>
+            </div>
+          )}
+
+          {/* Undo / redo history */}
+          {!loading && days > 0 && (
+            <HistoryPanel
+              past={history.past}
+              future={history.future}
+              onUndo={undo}
+              onRedo={redo}
+            />
+          )}
+
+          {/* Day chips */}
+          {days > 0 && itins.length > 0 && (
             <div style={styles.dayChipsRow}>
               {itins.slice(0, days).map((d, i) => (
                 <div
@@ -604,24 +1987,221 @@ const Home = () => {
                     ...(selectedDay === i ? styles.dayChipActive : {}),
                   }}
                   onClick={() => handleDayChipClick(i)}
+                  onDragOver={editMode ? (e) => e.preventDefault() : undefined}
+                  onDrop={editMode ? (e) => handleDropOnDay(e, i) : undefined}
+                  title={d?.transfer ? `Travel from ${d.transfer.from} to ${d.transfer.to}` : undefined}
                 >
                   Day {i + 1}
+                  {budgetPlan.days[i]?.over && (
+                    <span
+                      style={styles.dayChipOver}
+                      title={`Planned ${formatMoney(budgetPlan.days[i].total, tripCurrency)} of a ${formatMoney(
+                        budgetPlan.days[i].allowance,
+                        tripCurrency
+                      )} daily share`}
+                    >
+                      ⚠️
+                    </span>
+                  )}
+                  {schedule[i]?.overrunMinutes > 0 && (
+                    <span style={styles.dayChipOver} title={schedule[i].warnings[0]}>
+                      ⏰
+                    </span>
+                  )}
+                  {isMultiCity(tripMeta?.legs) && d?.city && (
+                    <span style={styles.dayChipCity}>
+                      {d.transfer ? "🚆 " : ""}
+                      {d.city}
+                    </span>
+                  )}
+                  {!loading && (
+                    <button
+                      style={styles.chipAction}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleRegenerateDay(i);
+                      }}
+                      disabled={!!pendingEdit}
+                      title="Regenerate this day"
+                      aria-label={`Regenerate day ${i + 1}`}
+                    >
+                      {pendingEdit?.dayIndex === i && pendingEdit.placeIndex === undefined ? "…" : "↻"}
+                    </button>
+                  )}
                 </div>
               ))}
             </div>
           )}
 
-          {/* Place cards: selected day */}
+          {/* Editor toolbar */}
+          {!loading && days > 0 && dayData && (
+            <div style={styles.editToolbar}>
+              <button
+                style={{
+                  ...styles.editToggle,
+                  ...(editMode ? styles.editToggleActive : {}),
+                }}
+                onClick={handleToggleEditMode}
+              >
+                {editMode ? "✓ Done editing" : "✎ Edit stops"}
+              </button>
+              {editMode && !addingStop && (
+                <button style={styles.editToggle} onClick={handleStartAddStop}>
+                  ➕ Add stop
+                </button>
+              )}
+              {editMode && (
+                <span style={styles.editHint}>
+                  Drag cards to reorder, or drop them on a day chip to move them.
+                </span>
+              )}
+              {!editMode && dayData.itinerary.length > 1 && (
+                <>
+                  <button
+                    style={styles.editToggle}
+                    onClick={handleOptimizeRoute}
+                    title="Reorder this day's stops into the shortest walk"
+                  >
+                    🧭 Optimize route
+                  </button>
+                  {selectedHotel ? (
+                    <span style={styles.editHint}>From and back to {selectedHotel.name}</span>
+                  ) : (
+                    <label style={styles.editHint}>
+                      <input
+                        type="checkbox"
+                        checked={keepFirstStop}
+                        onChange={(e) => setKeepFirstStop(e.target.checked)}
+                      />{" "}
+                      Start at first stop
+                    </label>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          {/* Route optimizer proposal */}
+          {!loading && activeRouteProposal && (
+            <div style={styles.routeProposal}>
+              {activeRouteProposal.changed ? (
+                <>
+                  <div>
+                    New order saves <b>{formatDistance(activeRouteProposal.savedKm)}</b> (
+                    {formatDistance(activeRouteProposal.beforeKm)} →{" "}
+                    {formatDistance(activeRouteProposal.afterKm)}), shown dashed on the map.
+                  </div>
+                  <ol style={styles.routeProposalList}>
+                    {activeRouteProposal.itinerary.map((place, i) => (
+                      <li key={i}>{place.name}</li>
+                    ))}
+                  </ol>
+                  <div style={styles.routeProposalActions}>
+                    <button style={styles.editToggle} onClick={handleAcceptRoute}>
+                      ✓ Use this order
+                    </button>
+                    <button style={styles.editToggle} onClick={handleRejectRoute}>
+                      Keep current order
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <div style={styles.routeProposalActions}>
+                  <span>
+                    The current order is already the shortest found (
+                    {formatDistance(activeRouteProposal.beforeKm)}).
+                  </span>
+                  <button style={styles.editToggle} onClick={handleRejectRoute}>
+                    OK
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {editMode && addingStop && (
+            <AddStopForm
+              dayNumber={selectedDay + 1}
+              pickedLocation={pickedLocation}
+              picking={pickingLocation}
+              onStartPick={handleStartPick}
+              onSubmit={handleAddStop}
+              onCancel={handleCancelAddStop}
+            />
+          )}
+
+          {/* Transfer into a new city */}
+          {days > 0 && dayData?.transfer && (
+            <div style={styles.transferBanner}>
+              <b>
+                🚆 {dayData.transfer.from} → {dayData.transfer.to}
+              </b>
+              {[dayData.transfer.mode, dayData.transfer.duration].filter(Boolean).join(" · ") && (
+                <span> · {[dayData.transfer.mode, dayData.transfer.duration].filter(Boolean).join(" · ")}</span>
+              )}
+              {dayData.transfer.description && (
+                <div style={styles.transferText}>{dayData.transfer.description}</div>
+              )}
+            </div>
+          )}
+
+          {/* Where we sleep after the selected day */}
+          {!loading && days > 0 && dayData && (
+            <HotelPanel
+              key={selectedDay}
+              dayIndex={selectedDay}
+              hotel={selectedHotel}
+              isBase={selectedHotelIsBase}
+              candidates={hotelCandidates(itins, [selectedDay])}
+              baseScope={baseScope}
+              suggesting={suggestingHotel}
+              disabled={!!pendingEdit}
+              showPrice={showPrice}
+              onChoose={handleChooseHotel}
+              onClear={handleClearHotel}
+              onSuggest={handleSuggestHotel}
+            />
+          )}
+
+          {/* Overruns and squeezed meals on the selected day */}
+          {!loading && selectedSchedule.warnings.length > 0 && (
+            <div style={styles.scheduleWarning}>
+              {selectedSchedule.warnings.map((warning) => (
+                <div key={warning}>⏰ {warning}</div>
+              ))}
+            </div>
+          )}
+
+          {/* Breakfast / lunch / dinner */}
           {!loading && days > 0 && dayData && (
+            <MealPlan
+              dayIndex={selectedDay}
+              meals={mealPlan[selectedDay]}
+              candidates={(slot) => mealCandidates(itins[selectedDay], slot, tripDietary)}
+              hasDietary={tripDietary.length > 0}
+              showPrice={showPrice}
+              onSwap={handleSwapMeal}
+            />
+          )}
+
+          {/* Place cards: selected day */}
+          {days > 0 && dayData && (
             <div style={styles.cardsGrid} className="cards-grid">
               {dayData.itinerary.map((place, idx) => {
                 const imgUrl = getImageForPlace(place);
                 return (
                   <div
                     key={idx}
-                    style={styles.card}
-                    onClick={() => setSelectedPlace(place)}
+                    style={{
+                      ...styles.card,
+                      ...(editMode ? styles.cardEditing : {}),
+                    }}
+                    onClick={() => openPlace(selectedDay, idx)}
                     className="card-anim"
+                    draggable={editMode}
+                    onDragStart={editMode ? (e) => handleCardDragStart(e, idx) : undefined}
+                    onDragOver={editMode ? (e) => e.preventDefault() : undefined}
+                    onDrop={editMode ? (e) => handleDropOnCard(e, idx) : undefined}
                   >
                     <div
                       style={{
@@ -636,6 +2216,12 @@ const Home = () => {
                     <div style={styles.cardOverlay} />
                     <div style={styles.cardContent}>
                       <div style={styles.cardTitle}>{place.name}</div>
+                      {selectedSchedule.stops[idx] && (
+                        <div style={styles.cardTime}>
+                          🕘 {formatClock(selectedSchedule.stops[idx].start)}–
+                          {formatClock(selectedSchedule.stops[idx].end)}
+                        </div>
+                      )}
                       <div
                         style={styles.cardDesc}
                         title={place.description || ""}
@@ -649,7 +2235,74 @@ const Home = () => {
                           ? "…"
                           : ""}
                       </div>
-                      <div style={styles.cardCta}>View details →</div>
+                      {editMode && (
+                        <div
+                          style={styles.cardEditRow}
+                          onClick={(e) => e.stopPropagation()}
+                        >
+                          <button
+                            style={styles.cardAction}
+                            onClick={() => handleMoveStop(idx, -1)}
+                            disabled={idx === 0}
+                            title="Move earlier"
+                          >
+                            ←
+                          </button>
+                          <button
+                            style={styles.cardAction}
+                            onClick={() => handleMoveStop(idx, 1)}
+                            disabled={idx === dayData.itinerary.length - 1}
+                            title="Move later"
+                          >
+                            →
+                          </button>
+                          <select
+                            style={styles.cardSelect}
+                            value={selectedDay}
+                            onChange={(e) => handleMoveToDay(idx, Number(e.target.value))}
+                            disabled={!canTakeFromDay(itins, selectedDay)}
+                            title={
+                              canTakeFromDay(itins, selectedDay)
+                                ? "Move to another day"
+                                : "A day needs at least one stop"
+                            }
+                          >
+                            {itins.map((_, dayIdx) => (
+                              <option key={dayIdx} value={dayIdx}>
+                                Day {dayIdx + 1}
+                              </option>
+                            ))}
+                          </select>
+                          <button
+                            style={{ ...styles.cardAction, ...styles.cardDelete }}
+                            onClick={() => handleRemoveStop(idx)}
+                            disabled={!canTakeFromDay(itins, selectedDay)}
+                            title={
+                              canTakeFromDay(itins, selectedDay) ? "Delete this stop" : "A day needs at least one stop"
+                            }
+                          >
+                            ✕
+                          </button>
+                        </div>
+                      )}
+                      <div style={styles.cardFooter}>
+                        <div style={styles.cardCta}>View details →</div>
+                        {!loading && !editMode && (
+                          <button
+                            style={styles.cardAction}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleReplacePlace(selectedDay, idx);
+                            }}
+                            disabled={!!pendingEdit}
+                            title="Replace this stop"
+                          >
+                            {pendingEdit?.dayIndex === selectedDay && pendingEdit.placeIndex === idx
+                              ? "Replacing…"
+                              : "↻ Replace this stop"}
+                          </button>
+                        )}
+                      </div>
                     </div>
                   </div>
                 );
@@ -696,7 +2349,7 @@ const Home = () => {
           )}
 
           {/* 2) Place details panel */}
-          {!loading && days > 0 && selectedPlace && (
+          {days > 0 && selectedPlace && (
             <div style={styles.detailPanel}>
               <div style={styles.detailHeader}>
                 <button
@@ -778,8 +2431,7 @@ const Home = () => {
           )}
 
           {/* 3) Map view */}
-          {!loading &&
-            days > 0 &&
+          {days > 0 &&
             !selectedPlace &&
             mapSize.width > 0 &&
             mapSize.height > 0 && (
@@ -787,13 +2439,26 @@ const Home = () => {
                 {/* Interactive Map Section */}
                 <div style={styles.mapSection}>
                   <div style={styles.mapHeader}>
-                    <h2 style={styles.mapTitle}>Interactive Route</h2>
+                    <h2 style={styles.mapTitle}>
+                      Interactive Route
+                      {routeStatus === "loading" && (
+                        <span style={styles.mapRouteStatus}>Loading street routes…</span>
+                      )}
+                      {(routeStatus === "straight" || routeStatus === "partial") && (
+                        <span
+                          style={styles.mapRouteStatus}
+                          title="Set REACT_APP_ROUTING_URL to a reachable OSRM or Valhalla server"
+                        >
+                          Straight lines where the router is unavailable
+                        </span>
+                      )}
+                    </h2>
                     <div style={styles.mapControls}>
                       <button
                         style={styles.mapControlBtn}
                         onClick={() => {
-                          if (mapRef.current && allItineraryData.length) {
-                            const bounds = L.latLngBounds(allItineraryData.map(p => [p.location.lat, p.location.lng]));
+                          if (mapRef.current && visibleMapPlaces.length) {
+                            const bounds = L.latLngBounds(visibleMapPlaces.map(p => [p.location.lat, p.location.lng]));
                             mapRef.current.fitBounds(bounds, { padding: [20, 20] });
                           }
                         }}
@@ -826,6 +2491,16 @@ const Home = () => {
                     </button>
                   </div>
 
+                  <MapLegend
+                    days={itins.slice(0, days)}
+                    scope={mapScope}
+                    selectedDay={selectedDay}
+                    hiddenDays={hiddenDays}
+                    onScopeChange={setMapScope}
+                    onToggleDay={handleToggleMapDay}
+                    onSelectDay={handleDayChipClick}
+                  />
+
                   <div style={styles.mapContainer}>
                     <MapContainer
                       center={allItineraryData.length > 0 ? [allItineraryData[0].location.lat, allItineraryData[0].location.lng] : [0, 0]}
@@ -843,13 +2518,13 @@ const Home = () => {
                         attribution="&copy; OpenStreetMap contributors"
                         maxZoom={19}
                       />
-                      {allItineraryData.map((place, idx) => (
+                      {visibleMapPlaces.map((place) => (
                         <Marker
-                          key={idx}
+                          key={`${place.dayIndex}-${place.placeIndex}`}
                           position={[place.location.lat, place.location.lng]}
-                          icon={createNumberedIcon(place.dayNumber, ['#ff6b35', '#4ecdc4', '#45b7d1', '#96ceb4', '#feca57'][place.dayIndex % 5])}
+                          icon={createNumberedIcon(place.dayNumber, dayColor(place.dayIndex))}
                           eventHandlers={{
-                            click: () => setSelectedPlace(place)
+                            click: () => openPlace(place.dayIndex, place.placeIndex)
                           }}
                         >
                           <Popup>
@@ -859,13 +2534,18 @@ const Home = () => {
                                 <span style={styles.popupLocation}>{place.location?.label || place.name}</span>
                               </div>
                               <div style={styles.popupTitle}>{place.name}</div>
+                              {travel.days[place.dayIndex]?.legs[place.placeIndex] && (
+                                <div style={styles.popupLeg}>
+                                  {getLegModes(travel.days[place.dayIndex].legs[place.placeIndex])}
+                                </div>
+                              )}
                               <div style={styles.popupDescription}>
                                 {place.description?.substring(0, 120)}...
                               </div>
                               <div style={styles.popupActions}>
                                 <button
                                   style={styles.popupButton}
-                                  onClick={() => setSelectedPlace(place)}
+                                  onClick={() => openPlace(place.dayIndex, place.placeIndex)}
                                 >
                                   View Details
                                 </button>
@@ -874,14 +2554,73 @@ const Home = () => {
                           </Popup>
                         </Marker>
                       ))}
-                      {allRoutePositions.length > 1 && (
+                      {dayRoutes.map(
+                        (route, i) =>
+                          isDayOnMap(i) &&
+                          route.positions.length > 1 && (
+                            <Polyline
+                              key={i}
+                              positions={route.positions}
+                              color={dayColor(i)}
+                              weight={4}
+                              opacity={0.85}
+                            />
+                          )
+                      )}
+                      {itins.map((day, i) => {
+                        // Inter-city journey: last stop of the previous day to the first stop here
+                        const from = itins[i - 1]?.itinerary?.[itins[i - 1].itinerary.length - 1]?.location;
+                        const to = day?.itinerary?.[0]?.location;
+                        if (!day?.transfer || !isDayOnMap(i) || !hasCoords(from) || !hasCoords(to)) return null;
+                        return (
+                          <Polyline
+                            key={`transfer-${i}`}
+                            positions={[[from.lat, from.lng], [to.lat, to.lng]]}
+                            color={dayColor(i)}
+                            weight={2}
+                            opacity={0.7}
+                            dashArray="2 8"
+                          />
+                        );
+                      })}
+                      {activeRouteProposal?.changed && (
                         <Polyline
-                          positions={allRoutePositions}
-                          color="#2196F3"
-                          weight={3}
-                          opacity={0.8}
+                          positions={withHotel(activeRouteProposal, activeRouteProposal.hotel)
+                            .itinerary.filter((p) => hasCoords(p.location))
+                            .map((p) => [p.location.lat, p.location.lng])}
+                          color="#4ecdc4"
+                          weight={4}
+                          opacity={0.9}
+                          dashArray="6 8"
                         />
                       )}
+                      {visibleMapHotels.map(({ hotel, nights }) => (
+                        <Marker
+                          key={`hotel-${hotel.name}`}
+                          position={[hotel.location.lat, hotel.location.lng]}
+                          icon={hotelIcon}
+                        >
+                          <Popup>
+                            <div style={styles.popupContent}>
+                              <div style={styles.popupHeader}>
+                                <span style={styles.popupDay}>
+                                  {nights.length > 1 ? "Nights" : "Night"} {nights.join(", ")}
+                                </span>
+                              </div>
+                              <div style={styles.popupTitle}>🏨 {hotel.name}</div>
+                              <div style={styles.popupDescription}>
+                                {[hotel.rating, hotel.price && showPrice(hotel.price)].filter(Boolean).join(" • ")}
+                              </div>
+                            </div>
+                          </Popup>
+                        </Marker>
+                      ))}
+                      {pickedLocation && (
+                        <Marker position={[pickedLocation.lat, pickedLocation.lng]}>
+                          <Popup>New stop location</Popup>
+                        </Marker>
+                      )}
+                      <MapClickPicker active={pickingLocation} onPick={handleMapPick} />
                       <MapControls mapRef={mapRef} />
                     </MapContainer>
                   </div>
@@ -908,7 +2647,7 @@ const Home = () => {
       </div>
 
       {/* Mobile Details Section - Scrollable */}
-      {!loading && days > 0 && itins.length > 0 && (
+      {days > 0 && itins.length > 0 && (
         <div style={styles.mobileDetailsSection}>
           <div style={styles.mobileDetailsHeader}>
             <h2 style={styles.mobileDetailsTitle}>📱 Stop Details & Food Picks</h2>
@@ -938,7 +2677,7 @@ const Home = () => {
                   <div style={styles.mobilePlaceInfo}>
                     <h3 style={styles.mobilePlaceName}>{place.name}</h3>
                     <p style={styles.mobilePlaceTime}>
-                      {getTimeOfDay(index)} • {getDuration(index)}
+                      {getStopTime(selectedSchedule.stops[index])}
                     </p>
                   </div>
                 </div>
@@ -947,29 +2686,29 @@ const Home = () => {
                 <div style={styles.mobileFoodSection}>
                   <h4 style={styles.mobileFoodTitle}>🍽️ Nearby Food:</h4>
                   {place.nearbyFood && place.nearbyFood.length > 0 ? (
-                    place.nearbyFood.map((restaurant, idx) => (
-                      <div key={idx} style={styles.mobileFoodCard}>
-                        <div style={styles.mobileFoodHeader}>
-                          <span style={styles.mobileFoodName}>• {restaurant.name}</span>
-                        </div>
-                        <div style={styles.mobileFoodDetails}>
-                          {restaurant.rating} • {restaurant.distance}
-                        </div>
-                        <div style={styles.mobileFoodDescription}>
-                          {restaurant.description}
+                    place.nearbyFood.map((restaurant, idx) => {
+                      const mealSlot = selectedDayMealSlots[`${index}:${restaurant.name}`];
+                      return (
+                        <div key={idx} style={styles.mobileFoodCard}>
+                          <div style={styles.mobileFoodHeader}>
+                            <span style={styles.mobileFoodName}>• {restaurant.name}</span>
+                            {mealSlot && <span style={styles.stayingHere}>{MEAL_SLOTS[mealSlot]}</span>}
+                          </div>
+                          <div style={styles.mobileFoodDetails}>
+                            {[restaurant.rating, restaurant.price && showPrice(restaurant.price), restaurant.distance]
+                              .filter(Boolean)
+                              .join(" • ")}
+                          </div>
+                          <div style={styles.mobileFoodDescription}>
+                            {restaurant.description}
+                          </div>
                         </div>
-                      </div>
-                    ))
+                      );
+                    })
                   ) : (
                     <div style={styles.mobileFoodCard}>
-                      <div style={styles.mobileFoodHeader}>
-                        <span style={styles.mobileFoodName}>• {getFoodRecommendation(place).name}</span>
-                      </div>
-                      <div style={styles.mobileFoodDetails}>
-                        {getFoodRecommendation(place).rating} • {getFoodRecommendation(place).distance}
-                      </div>
                       <div style={styles.mobileFoodDescription}>
-                        {getFoodRecommendation(place).description}
+                        No food suggestions for this stop yet — meals come from the stops around it.
                       </div>
                     </div>
                   )}
@@ -983,9 +2722,24 @@ const Home = () => {
                       <div key={idx} style={styles.mobileFoodCard}>
                         <div style={styles.mobileFoodHeader}>
                           <span style={styles.mobileFoodName}>• {hotel.name}</span>
+                          {selectedHotel?.name === hotel.name ? (
+                            <span style={styles.stayingHere}>✓ Staying here</span>
+                          ) : (
+                            <button
+                              style={styles.stayHereBtn}
+                              onClick={() => handleChooseHotel(toStay(hotel, place), "night")}
+                              title={`Stay here on night ${selectedDay + 1}`}
+                            >
+                              🛏️ Stay here
+                            </button>
+                          )}
                         </div>
                         <div style={styles.mobileFoodDetails}>
-                          {hotel.rating} • {hotel.price} • {hotel.distance}
+                          {hotel.rating} •{" "}
+                          <span title={showLocalPrices ? undefined : `Quoted as ${hotel.price}`}>
+                            {showPrice(hotel.price)}
+                          </span>{" "}
+                          • {hotel.distance}
                         </div>
                         <div style={styles.mobileFoodDescription}>
                           {hotel.description}
@@ -994,15 +2748,7 @@ const Home = () => {
                     ))
                   ) : (
                     <div style={styles.mobileFoodCard}>
-                      <div style={styles.mobileFoodHeader}>
-                        <span style={styles.mobileFoodName}>• Local Hotel</span>
-                      </div>
-                      <div style={styles.mobileFoodDetails}>
-                        4.0/5 • ₹2000/night • 500m away
-                      </div>
-                      <div style={styles.mobileFoodDescription}>
-                        Comfortable accommodation with modern amenities
-                      </div>
+                      <div style={styles.mobileFoodDescription}>No hotels quoted for this stop.</div>
                     </div>
                   )}
                 </div>
@@ -1030,14 +2776,29 @@ const Home = () => {
                   </div>
                   <div style={styles.mobileSummaryStat}>
                     <span style={styles.mobileSummaryStatLabel}>⏱️ Duration</span>
-                    <span style={styles.mobileSummaryStatValue}>
-                      {Math.round((itins[selectedDay]?.itinerary?.length || 0) * 2.5)}h
+                    <span
+                      style={styles.mobileSummaryStatValue}
+                      title={`${formatMinutes(selectedDayVisitMinutes)} at stops + ${formatMinutes(
+                        selectedDayTravel.travelMinutes
+                      )} travelling`}
+                    >
+                      {formatMinutes(selectedDayVisitMinutes + selectedDayTravel.travelMinutes)}
                     </span>
                   </div>
                   <div style={styles.mobileSummaryStat}>
-                    <span style={styles.mobileSummaryStatLabel}>💰 Budget</span>
-                    <span style={styles.mobileSummaryStatValue}>
-                      ${budget ? Math.round(budget / days) : 0}
+                    <span style={styles.mobileSummaryStatLabel}>💰 Planned</span>
+                    <span
+                      style={{
+                        ...styles.mobileSummaryStatValue,
+                        ...(selectedDayBudget?.over ? styles.overBudget : {}),
+                      }}
+                      title={
+                        selectedDayBudget
+                          ? `Daily share of the budget: ${formatMoney(selectedDayBudget.allowance, tripCurrency)}`
+                          : undefined
+                      }
+                    >
+                      {formatMoney(selectedDayBudget?.total || 0, tripCurrency)}
                     </span>
                   </div>
                 </div>
@@ -1054,17 +2815,43 @@ const Home = () => {
                       <div style={styles.mobileSummaryTimelineContent}>
                         <div style={styles.mobileSummaryTimelineName}>{place.name}</div>
                         <div style={styles.mobileSummaryTimelineTime}>
-                          {getTimeOfDay(index)} • {getDuration(index)}
+                          {getStopTime(selectedSchedule.stops[index])}
                         </div>
+                        {selectedDayTravel.legs[index] && (
+                          <div style={styles.mobileSummaryTimelineTime}>
+                            {getLegSummary(selectedDayTravel.legs[index])}
+                          </div>
+                        )}
                         <div style={styles.mobileSummaryTimelineDesc}>
                           {place.description?.substring(0, 80)}...
                         </div>
+                        {selectedSchedule.meals
+                          .filter((meal) => meal.afterStop === index)
+                          .map((meal) => (
+                            <div
+                              key={meal.slot}
+                              style={{ ...styles.mobileSummaryTimelineTime, ...(meal.late ? styles.overBudget : {}) }}
+                            >
+                              {MEAL_SLOTS[meal.slot]} {formatClock(meal.start)}–{formatClock(meal.end)}
+                              {meal.restaurant ? ` · ${meal.restaurant}` : ""}
+                            </div>
+                          ))}
                       </div>
                     </div>
                   ))}
                 </div>
               </div>
 
+              <BudgetPanel
+                plan={budgetPlan}
+                actual={actualSpend}
+                expenses={expenses}
+                selectedDay={selectedDay}
+                currency={tripCurrency}
+                onAddExpense={handleAddExpense}
+                onRemoveExpense={handleRemoveExpense}
+              />
+
               <div style={styles.mobileSummaryTips}>
                 <h3 style={styles.mobileSummaryTipsTitle}>💡 Pro Tips</h3>
                 <div style={styles.mobileSummaryTipsList}>
@@ -1089,15 +2876,24 @@ const Home = () => {
 
               <div style={styles.mobileSummaryFooter}>
                 <div style={styles.mobileSummaryFooterItem}>
-                  <span style={styles.mobileSummaryFooterLabel}>Total Distance:</span>
+                  <span style={styles.mobileSummaryFooterLabel}>Day Distance:</span>
                   <span style={styles.mobileSummaryFooterValue}>
-                    ~{Math.round((itins[selectedDay]?.itinerary?.length || 0) * 2.5)} km
+                    {formatDistance(selectedDayTravel.km)} · {formatMinutes(selectedDayTravel.travelMinutes)} travel
                   </span>
                 </div>
                 <div style={styles.mobileSummaryFooterItem}>
-                  <span style={styles.mobileSummaryFooterLabel}>Estimated Cost:</span>
+                  <span style={styles.mobileSummaryFooterLabel}>Trip Distance:</span>
                   <span style={styles.mobileSummaryFooterValue}>
-                    ${budget ? Math.round(budget / days) : 0}
+                    {formatDistance(travel.km)} · {formatMinutes(travel.travelMinutes)} travel
+                  </span>
+                </div>
+                <div style={styles.mobileSummaryFooterItem}>
+                  <span style={styles.mobileSummaryFooterLabel}>Estimated Cost:</span>
+                  <span
+                    style={{ ...styles.mobileSummaryFooterValue, ...(budgetPlan.over ? styles.overBudget : {}) }}
+                  >
+                    {formatMoney(budgetPlan.totals.total, tripCurrency)}
+                    {tripBudget ? ` of ${formatMoney(Number(tripBudget), tripCurrency)}` : ""}
                   </span>
                 </div>
               </div>
@@ -1405,6 +3201,40 @@ const styles = {
       borderRadius: "8px",
     },
   },
+  formActions: {
+    display: "flex",
+    gap: 10,
+  },
+  cancelButton: {
+    height: 46,
+    padding: "0 18px",
+    borderRadius: 10,
+    border: "1px solid rgba(255,100,100,0.6)",
+    background: "rgba(255,80,80,0.12)",
+    color: "#ffd6d6",
+    fontWeight: 700,
+    cursor: "pointer",
+  },
+  progressWrap: {
+    marginTop: 14,
+    padding: "10px 12px",
+    borderRadius: 12,
+    background: "rgba(255,255,255,0.04)",
+    border: "1px solid rgba(255,255,255,0.1)",
+  },
+  progressText: { fontSize: 13, fontWeight: 600, marginBottom: 8 },
+  progressTrack: {
+    height: 6,
+    borderRadius: 999,
+    background: "rgba(255,255,255,0.08)",
+    overflow: "hidden",
+  },
+  progressFill: {
+    height: "100%",
+    borderRadius: 999,
+    background: "linear-gradient(90deg, #4ecdc4, #45b7d1)",
+    transition: "width 400ms ease",
+  },
   loadingWrap: {
     marginTop: 6,
     padding: 12,
@@ -1439,6 +3269,68 @@ const styles = {
       display: "none",
     },
   },
+  importRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    marginTop: 12,
+  },
+  importHint: { fontSize: 12, opacity: 0.6 },
+  importNotice: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    flexWrap: "wrap",
+    gap: 8,
+    marginTop: 10,
+    padding: "8px 12px",
+    borderRadius: 12,
+    fontSize: 12,
+    background: "rgba(78,205,196,0.08)",
+    border: "1px solid rgba(78,205,196,0.4)",
+  },
+  exportRow: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 8,
+    margin: "10px 0 4px",
+  },
+  exportBtn: {
+    padding: "6px 12px",
+    borderRadius: 10,
+    border: "1px solid rgba(255,255,255,0.18)",
+    background: "rgba(255,255,255,0.06)",
+    color: "#e9f0ff",
+    fontSize: 12,
+    fontWeight: 700,
+    cursor: "pointer",
+  },
+  exportDate: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    fontSize: 12,
+    opacity: 0.9,
+  },
+  exportDateInput: {
+    padding: "4px 6px",
+    borderRadius: 8,
+    border: "1px solid rgba(255,255,255,0.18)",
+    background: "rgba(255,255,255,0.06)",
+    color: "#e9f0ff",
+    fontSize: 12,
+    colorScheme: "dark",
+  },
+  metaEditBtn: {
+    marginLeft: 6,
+    padding: "0 6px",
+    borderRadius: 6,
+    border: "1px solid rgba(255,255,255,0.18)",
+    background: "transparent",
+    color: "#e9f0ff",
+    fontSize: 11,
+    cursor: "pointer",
+  },
   metaKey: { opacity: 0.8, marginRight: 6 },
 
   dayChipsRow: {
@@ -1475,6 +3367,19 @@ const styles = {
     boxShadow: "0 6px 18px rgba(63,81,181,0.45)",
     transform: "translateY(-1px)",
   },
+  chipAction: {
+    marginLeft: 6,
+    width: 20,
+    height: 20,
+    padding: 0,
+    borderRadius: 999,
+    border: "1px solid rgba(255,255,255,0.2)",
+    background: "rgba(0,0,0,0.2)",
+    color: "#e9f0ff",
+    fontSize: 11,
+    lineHeight: "18px",
+    cursor: "pointer",
+  },
 
   cardsGrid: {
     display: "grid",
@@ -1518,6 +3423,7 @@ const styles = {
     color: "#fff",
   },
   cardTitle: { fontWeight: 900, fontSize: 16, marginBottom: 4 },
+  cardTime: { fontSize: 12, fontWeight: 700, opacity: 0.85, marginBottom: 4 },
   cardDesc: {
     fontSize: 12,
     opacity: 0.92,
@@ -1533,6 +3439,115 @@ const styles = {
     opacity: 0.95,
     textDecoration: "underline",
   },
+  cardEditing: {
+    cursor: "grab",
+    outline: "1px dashed rgba(78,205,196,0.7)",
+  },
+  cardEditRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+  },
+  cardSelect: {
+    marginTop: 6,
+    padding: "3px 6px",
+    borderRadius: 8,
+    border: "1px solid rgba(255,255,255,0.25)",
+    background: "rgba(0,0,0,0.5)",
+    color: "#fff",
+    fontSize: 11,
+  },
+  cardDelete: {
+    borderColor: "rgba(255,100,100,0.6)",
+    color: "#ffd6d6",
+  },
+  dayChipOver: { marginLeft: 4, fontSize: 11 },
+  stayHereBtn: {
+    marginLeft: 8,
+    padding: "2px 8px",
+    borderRadius: 999,
+    border: "1px solid rgba(78,205,196,0.6)",
+    background: "rgba(78,205,196,0.12)",
+    color: "#4ecdc4",
+    fontSize: 11,
+    fontWeight: 700,
+    cursor: "pointer",
+  },
+  stayingHere: { marginLeft: 8, color: "#4ecdc4", fontSize: 11, fontWeight: 700 },
+  overBudget: { color: "#ff6b6b" },
+  multiCityToggle: { fontSize: 13, opacity: 0.85, cursor: "pointer" },
+  dayChipCity: { marginLeft: 6, fontSize: 11, opacity: 0.75, fontWeight: 400 },
+  transferBanner: {
+    margin: "0 0 10px",
+    padding: "10px 12px",
+    borderRadius: 12,
+    fontSize: 13,
+    background: "rgba(69,183,209,0.1)",
+    border: "1px solid rgba(69,183,209,0.45)",
+  },
+  transferText: { marginTop: 4, fontSize: 12, opacity: 0.8 },
+  scheduleWarning: {
+    margin: "0 0 10px",
+    padding: "10px 12px",
+    borderRadius: 12,
+    fontSize: 13,
+    background: "rgba(255,107,107,0.1)",
+    border: "1px solid rgba(255,107,107,0.45)",
+  },
+  editToolbar: {
+    display: "flex",
+    alignItems: "center",
+    flexWrap: "wrap",
+    gap: 8,
+    margin: "6px 0 10px",
+  },
+  editToggle: {
+    padding: "6px 12px",
+    borderRadius: 999,
+    border: "1px solid rgba(255,255,255,0.18)",
+    background: "rgba(255,255,255,0.05)",
+    color: "#e9f0ff",
+    fontSize: 12,
+    fontWeight: 700,
+    cursor: "pointer",
+  },
+  editToggleActive: {
+    borderColor: "rgba(78,205,196,0.8)",
+    background: "rgba(78,205,196,0.15)",
+  },
+  editHint: { fontSize: 12, opacity: 0.7 },
+  routeProposal: {
+    margin: "0 0 10px",
+    padding: "10px 12px",
+    borderRadius: 12,
+    fontSize: 12,
+    background: "rgba(78,205,196,0.08)",
+    border: "1px solid rgba(78,205,196,0.4)",
+  },
+  routeProposalList: { margin: "8px 0", paddingLeft: 20, opacity: 0.9 },
+  routeProposalActions: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  cardFooter: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 8,
+  },
+  cardAction: {
+    marginTop: 6,
+    padding: "4px 8px",
+    borderRadius: 8,
+    border: "1px solid rgba(255,255,255,0.25)",
+    background: "rgba(0,0,0,0.35)",
+    color: "#fff",
+    fontSize: 11,
+    cursor: "pointer",
+  },
 
   emptyHint: {
     opacity: 0.9,
@@ -1838,6 +3853,12 @@ const styles = {
       textAlign: "center",
     },
   },
+  mapRouteStatus: {
+    marginLeft: 10,
+    fontSize: 11,
+    fontWeight: 400,
+    opacity: 0.6,
+  },
   mapControls: {
     display: "flex",
     gap: "8px",
@@ -1943,6 +3964,11 @@ const styles = {
     lineHeight: "1.4",
     marginBottom: "12px",
   },
+  popupLeg: {
+    fontSize: "12px",
+    color: "#4ecdc4",
+    marginBottom: "10px",
+  },
   popupActions: {
     display: "flex",
     justifyContent: "center",
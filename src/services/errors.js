@@ -0,0 +1,120 @@
+// src/services/errors.js
+// Typed failures for itinerary generation so the UI can tell the user what went
+// wrong (and whether retrying makes sense) instead of rendering a fake trip.
+
+export class ItineraryError extends Error {
+    constructor(message, { cause, title = "Could not generate itinerary", retryable = true } = {}) {
+        super(message);
+        this.name = "ItineraryError";
+        this.title = title;
+        this.retryable = retryable;
+        if (cause) this.cause = cause;
+    }
+}
+
+export class MissingApiKeyError extends ItineraryError {
+    constructor() {
+        super("Gemini API key is missing. Add REACT_APP_GEMINI_API_KEY to your .env file and restart the app.", {
+            title: "Missing API key",
+            retryable: false,
+        });
+        this.name = "MissingApiKeyError";
+    }
+}
+
+export class AuthError extends ItineraryError {
+    constructor(message, { cause } = {}) {
+        super(message || "Gemini rejected the API key. Check that REACT_APP_GEMINI_API_KEY is valid.", {
+            cause,
+            title: "Authentication failed",
+            retryable: false,
+        });
+        this.name = "AuthError";
+    }
+}
+
+export class QuotaError extends ItineraryError {
+    constructor(message, { cause } = {}) {
+        super(message || "Gemini quota or rate limit reached. Wait a moment and try again.", {
+            cause,
+            title: "Rate limit reached",
+        });
+        this.name = "QuotaError";
+    }
+}
+
+export class ParseError extends ItineraryError {
+    constructor(message, { cause, violations = [] } = {}) {
+        super(message, { cause, title: "Unreadable response" });
+        this.name = "ParseError";
+        this.violations = violations;
+    }
+}
+
+export class CancelledError extends ItineraryError {
+    constructor({ cause } = {}) {
+        super("Generation was cancelled.", { cause, title: "Cancelled" });
+        this.name = "CancelledError";
+    }
+}
+
+export class ImportError extends ItineraryError {
+    constructor(message) {
+        super(message, { title: "Import failed", retryable: false });
+        this.name = "ImportError";
+    }
+}
+
+export class ShareLinkError extends ItineraryError {
+    constructor(message, { cause } = {}) {
+        super(message, { cause, title: "Could not open shared trip", retryable: false });
+        this.name = "ShareLinkError";
+    }
+}
+
+export class RoutingError extends ItineraryError {
+    constructor(message, { cause } = {}) {
+        super(message, { cause, title: "Routing unavailable" });
+        this.name = "RoutingError";
+    }
+}
+
+/**
+ * Thrown when some chunks succeeded before a later one failed. `days` holds the
+ * days that were generated and `nextDay` the first day that still needs work.
+ */
+export class PartialItineraryError extends ItineraryError {
+    constructor(days, nextDay, cause) {
+        super(`Generated ${days.length} day(s), then stopped at day ${nextDay}: ${cause.message}`, {
+            cause,
+            title: "Itinerary is incomplete",
+            retryable: cause.retryable !== false,
+        });
+        this.name = "PartialItineraryError";
+        this.days = days;
+        this.nextDay = nextDay;
+    }
+}
+
+/**
+ * Maps an error thrown by the Gemini SDK (or by our own parsing) onto one of
+ * the typed errors above.
+ */
+export function classifyGeminiError(err) {
+    if (err instanceof ItineraryError) return err;
+
+    if (err?.name === "AbortError") {
+        return new CancelledError({ cause: err });
+    }
+
+    const status = err?.status;
+    const message = err?.message || "";
+
+    if (status === 401 || status === 403 || /API_KEY|API key not valid|authentication|permission/i.test(message)) {
+        return new AuthError(undefined, { cause: err });
+    }
+    if (status === 429 || /quota|RESOURCE_EXHAUSTED|rate limit/i.test(message)) {
+        return new QuotaError(undefined, { cause: err });
+    }
+    return new ItineraryError(message || "Unexpected error while contacting Gemini.", { cause: err });
+}
@@ -0,0 +1,108 @@
+// src/services/exchangeRates.js
+// Exchange rates for showing prices in the trip currency. Configure in .env:
+//   REACT_APP_RATES_PROVIDER  "offline" (default) or "http"
+//   REACT_APP_RATES_URL       JSON endpoint for "http", e.g. https://open.er-api.com/v6/latest/USD
+// Any failure falls back to the bundled table, so prices always convert.
+
+const REQUEST_TIMEOUT_MS = 8000;
+
+// Units per US dollar; approximate mid-market rates bundled with the app
+export const OFFLINE_RATES = {
+    base: "USD",
+    asOf: "2026-09-01",
+    source: "offline",
+    rates: {
+        USD: 1,
+        EUR: 0.92,
+        GBP: 0.78,
+        INR: 84,
+        JPY: 147,
+        CNY: 7.2,
+        AUD: 1.52,
+        CAD: 1.37,
+        CHF: 0.86,
+        SGD: 1.32,
+        AED: 3.67,
+        THB: 34,
+        KRW: 1360,
+        MXN: 18.8,
+        BRL: 5.5,
+        TRY: 34,
+        PLN: 3.95,
+        ZAR: 18.2,
+        CZK: 23,
+        HUF: 360,
+        SEK: 10.6,
+        NOK: 10.8,
+        DKK: 6.9,
+        HKD: 7.8,
+        TWD: 32,
+        IDR: 15800,
+        MYR: 4.5,
+        PHP: 57,
+        VND: 25000,
+        EGP: 48,
+        MAD: 9.8,
+        NZD: 1.65,
+        ILS: 3.7,
+        ISK: 138,
+    },
+};
+
+/**
+ * Each provider resolves to { base, rates, asOf, source }.
+ */
+export const RATE_PROVIDERS = {
+    offline: {
+        load: async () => OFFLINE_RATES,
+    },
+    http: {
+        // Accepts { base|base_code, rates, date|time_last_update_utc } (open.er-api.com, exchangerate.host, Frankfurter)
+        async load(url) {
+            const timeout = new AbortController();
+            const timer = setTimeout(() => timeout.abort(), REQUEST_TIMEOUT_MS);
+            try {
+                const res = await fetch(url, { signal: timeout.signal });
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                const data = await res.json();
+                const base = data.base || data.base_code;
+                if (!base || !data.rates || typeof data.rates !== "object") {
+                    throw new Error("response has no base or rates");
+                }
+                return {
+                    base,
+                    rates: { ...data.rates, [base]: 1 },
+                    asOf: data.date || data.time_last_update_utc || new Date().toISOString().slice(0, 10),
+                    source: "http",
+                };
+            } finally {
+                clearTimeout(timer);
+            }
+        },
+    },
+};
+
+/**
+ * Rate settings from the environment.
+ */
+export function getRatesConfig(env = process.env) {
+    const name = (env.REACT_APP_RATES_PROVIDER || "offline").toLowerCase();
+    const url = env.REACT_APP_RATES_URL || "";
+    return { provider: RATE_PROVIDERS[name] && (name !== "http" || url) ? name : "offline", url };
+}
+
+let pending = null; // shared Promise of the loaded table
+
+/**
+ * Loads the rate table once per session. Never rejects: when the configured
+ * provider fails the bundled OFFLINE_RATES are returned instead.
+ */
+export function getExchangeRates({ config = getRatesConfig(), refresh = false } = {}) {
+    if (!pending || refresh) {
+        pending = RATE_PROVIDERS[config.provider].load(config.url).catch((err) => {
+            console.warn("⚠️ Exchange rates unavailable, using the bundled table:", err.message);
+            return OFFLINE_RATES;
+        });
+    }
+    return pending;
+}
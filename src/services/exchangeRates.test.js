@@ -0,0 +1,33 @@
+import { getExchangeRates, getRatesConfig, OFFLINE_RATES } from './exchangeRates';
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('uses the bundled table unless an HTTP source is configured', () => {
+  expect(getRatesConfig({}).provider).toBe('offline');
+  expect(getRatesConfig({ REACT_APP_RATES_PROVIDER: 'http' }).provider).toBe('offline');
+  expect(getRatesConfig({ REACT_APP_RATES_PROVIDER: 'http', REACT_APP_RATES_URL: 'http://rates.test' }).provider).toBe('http');
+});
+
+test('loads rates from an HTTP source', async () => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => ({ base_code: 'EUR', rates: { USD: 1.1 }, time_last_update_utc: 'Mon, 12 Oct 2026' }),
+  });
+
+  const table = await getExchangeRates({ config: { provider: 'http', url: 'http://rates.test' }, refresh: true });
+
+  expect(global.fetch.mock.calls[0][0]).toBe('http://rates.test');
+  expect(table).toMatchObject({ base: 'EUR', rates: { EUR: 1, USD: 1.1 }, source: 'http' });
+});
+
+test('falls back to the bundled table when the source fails', async () => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 500 });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  const table = await getExchangeRates({ config: { provider: 'http', url: 'http://rates.test' }, refresh: true });
+
+  expect(table).toBe(OFFLINE_RATES);
+  console.warn.mockRestore();
+});
@@ -1,32 +1,111 @@
 // src/services/gemini.js
 import { GoogleGenerativeAI } from "@google/generative-ai";
+import {
+    validateItinerary,
+    validatePlaces,
+    validateHotels,
+    formatValidationErrors,
+} from "./itinerarySchema";
+import {
+    CancelledError,
+    MissingApiKeyError,
+    ParseError,
+    PartialItineraryError,
+    classifyGeminiError,
+} from "./errors";
+import { planDays } from "../utils/tripLegs";
+import { describePreferences } from "../utils/preferences";
+import { formatMoney } from "../utils/currency";
 
 const genAI = new GoogleGenerativeAI(process.env.REACT_APP_GEMINI_API_KEY);
 
-export async function generateItinerary(city, budget, days) {
-    // Check if API key exists
-    const apiKey = process.env.REACT_APP_GEMINI_API_KEY;
-    if (!apiKey) {
-        console.error("🔑 No Gemini API key found! Please add REACT_APP_GEMINI_API_KEY to your .env file");
-        throw new Error("Gemini API key is missing. Please check your .env file.");
+// how many times a failing chunk is sent back to the model with its errors
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// One fully populated place, shared by every prompt that asks for places
+const PLACE_EXAMPLE = `{
+  "name": "Place 1",
+  "description": "A long, detailed description of the place including its history, cultural significance, architecture, interesting facts, and visitor tips.",
+  "location": { "lat": 28.6139, "lng": 77.2090, "label": "Place 1 Label" },
+  "entryFee": "EUR 15",
+  "visitMinutes": 90,
+  "nearbyFood": [
+    {
+      "name": "Restaurant Name 1",
+      "rating": "4.5/5",
+      "distance": "300m away",
+      "description": "Brief description of the restaurant and its cuisine",
+      "price": "EUR 15-25 per person"
+    },
+    {
+      "name": "Restaurant Name 2",
+      "rating": "4.3/5",
+      "distance": "500m away",
+      "description": "Brief description of the restaurant and its cuisine",
+      "price": "EUR 20-35 per person"
+    },
+    {
+      "name": "Restaurant Name 3",
+      "rating": "4.7/5",
+      "distance": "700m away",
+      "description": "Brief description of the restaurant and its cuisine",
+      "price": "EUR 12-18 per person"
     }
-    
-    console.log("🔑 API key found, length:", apiKey.length);
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+  ],
+  "nearbyHotels": [
+    {
+      "name": "Hotel Name 1",
+      "rating": "4.3/5",
+      "price": "EUR 120/night",
+      "location": { "lat": 28.6145, "lng": 77.2101 },
+      "distance": "500m away",
+      "description": "Brief description of the hotel"
+    },
+    {
+      "name": "Hotel Name 2",
+      "rating": "4.5/5",
+      "price": "EUR 180/night",
+      "location": { "lat": 28.6128, "lng": 77.2076 },
+      "distance": "800m away",
+      "description": "Brief description of the hotel"
+    },
+    {
+      "name": "Hotel Name 3",
+      "rating": "4.1/5",
+      "price": "EUR 90/night",
+      "location": { "lat": 28.6162, "lng": 77.2113 },
+      "distance": "1.2km away",
+      "description": "Brief description of the hotel"
+    }
+  ]
+}`;
 
-    // how many days we allow per chunk
-    const CHUNK_SIZE = 7;
+// The hotel suggested as the base for several nights
+const BASE_HOTEL_EXAMPLE = `{
+  "name": "Hotel Name",
+  "rating": "4.4/5",
+  "price": "EUR 120/night",
+  "description": "Why this hotel and its location suit the planned stops",
+  "location": { "lat": 28.6139, "lng": 77.2090 }
+}`;
 
-    let fullItinerary = [];
+const indent = (text, spaces) => text.split("\n").join(`\n${" ".repeat(spaces)}`);
 
-    try {
-        console.log(`🚀 Generating itinerary for ${city}, ${days} days, budget: ${budget}`);
-        
-        for (let start = 1; start <= days; start += CHUNK_SIZE) {
-            const end = Math.min(start + CHUNK_SIZE - 1, days);
-            console.log(`📅 Processing days ${start} to ${end}`);
+// Prices stay in the local currency; the app converts them to the trip currency
+const CURRENCY_RULE = `Quote every price in the local currency of the place, as its ISO 4217 code followed by the amount (e.g. "JPY 12000/night", "EUR 90/night").`;
+const PRICE_RULE = `Give each place its "entryFee" ("Free" when there is none) and each restaurant a typical "price" per person. Give each hotel its "location". ${CURRENCY_RULE}`;
+const VISIT_RULE = `Give each place "visitMinutes": how long a typical visitor spends there, in minutes (e.g. 45 for a viewpoint, 180 for a large museum).`;
+
+// "$1,200 (USD)" for trips with a currency, the bare number for older ones
+const describeBudget = (budget, currency) => (currency ? `${formatMoney(Number(budget), currency)} (${currency})` : budget);
+
+// Traveller preferences (utils/preferences) as a prompt section, or nothing
+const preferenceSection = (preferences) => {
+    const block = describePreferences(preferences);
+    return block ? `${block}\n\n` : "";
+};
 
-            const prompt = `Generate a detailed day-by-day travel itinerary for ${city} with a budget of ${budget}.
+const buildChunkPrompt = (city, budget, start, end, preferences) => `Generate a detailed day-by-day travel itinerary for ${city} with a budget of ${budget}.
 
 Create plans ONLY for days ${start} to ${end}.
 
@@ -34,167 +113,507 @@ Each place must include a long detailed description (history, cultural significa
 
 IMPORTANT: Use REAL and ACCURATE coordinates (latitude and longitude) for each location. Research actual coordinates for famous landmarks, museums, parks, and attractions in ${city}.
 
-ALSO IMPORTANT: For each place, include 3-4 nearby restaurants/food shops and 2-3 nearby hotels with real names, ratings, and prices.
+ALSO IMPORTANT: For each place, include 3-4 nearby restaurants/food shops and 2-3 nearby hotels with real names, ratings, and prices. ${PRICE_RULE} ${VISIT_RULE}
 
-CRITICAL: Return ONLY valid JSON in this exact structure, with NO additional text, explanations, or markdown formatting:
+${preferenceSection(preferences)}CRITICAL: Return ONLY valid JSON in this exact structure, with NO additional text, explanations, or markdown formatting:
 
 [
   {
     "title": "Day ${start}: Short Title",
     "itinerary": [
-      {
-        "name": "Place 1",
-        "description": "A long, detailed description of the place including its history, cultural significance, architecture, interesting facts, and visitor tips.",
-        "location": { "lat": 28.6139, "lng": 77.2090, "label": "Place 1 Label" },
-        "nearbyFood": [
-          {
-            "name": "Restaurant Name 1",
-            "rating": "4.5/5",
-            "distance": "300m away",
-            "description": "Brief description of the restaurant and its cuisine"
-          },
-          {
-            "name": "Restaurant Name 2",
-            "rating": "4.3/5",
-            "distance": "500m away",
-            "description": "Brief description of the restaurant and its cuisine"
-          },
-          {
-            "name": "Restaurant Name 3",
-            "rating": "4.7/5",
-            "distance": "700m away",
-            "description": "Brief description of the restaurant and its cuisine"
-          }
-        ],
-        "nearbyHotels": [
-          {
-            "name": "Hotel Name 1",
-            "rating": "4.3/5",
-            "price": "₹2000/night",
-            "distance": "500m away",
-            "description": "Brief description of the hotel"
-          },
-          {
-            "name": "Hotel Name 2",
-            "rating": "4.5/5",
-            "price": "₹3000/night",
-            "distance": "800m away",
-            "description": "Brief description of the hotel"
-          },
-          {
-            "name": "Hotel Name 3",
-            "rating": "4.1/5",
-            "price": "₹1500/night",
-            "distance": "1.2km away",
-            "description": "Brief description of the hotel"
-          }
-        ]
-      }
+      ${indent(PLACE_EXAMPLE, 6)}
     ]
   }
 ]
 Do not include any text before or after the JSON array. Start with [ and end with ].`;
 
-            console.log(`🤖 Sending request to Gemini API...`);
-            const result = await model.generateContent(prompt);
-            const response = await result.response;
-            const text = response.text();
-            
-            console.log(`📝 Raw API response:`, text.substring(0, 500) + "...");
-
-            // More robust JSON extraction
-            let cleaned = text.trim();
-            
-            // Remove markdown code blocks
-            cleaned = cleaned.replace(/```json\s*/g, "").replace(/```\s*/g, "");
-            
-            // Find the first [ and last ] to extract just the JSON array
-            const firstBracket = cleaned.indexOf('[');
-            const lastBracket = cleaned.lastIndexOf(']');
-            
-            if (firstBracket !== -1 && lastBracket !== -1 && lastBracket > firstBracket) {
-                cleaned = cleaned.substring(firstBracket, lastBracket + 1);
-            }
-            
-            console.log(`🧹 Cleaned response:`, cleaned.substring(0, 300) + "...");
-            
-            let chunk;
-            try {
-                chunk = JSON.parse(cleaned);
-            } catch (parseError) {
-                console.error(`❌ JSON parse error for chunk ${start}-${end}:`, parseError.message);
-                console.error(`❌ Problematic text:`, cleaned.substring(0, 500));
-                
-                // Try to find and extract valid JSON more aggressively
-                const jsonMatch = cleaned.match(/\[[\s\S]*\]/);
-                if (jsonMatch) {
-                    try {
-                        chunk = JSON.parse(jsonMatch[0]);
-                        console.log(`✅ Recovered JSON using regex match`);
-                    } catch (recoveryError) {
-                        console.error(`❌ Recovery failed:`, recoveryError.message);
-                        throw new Error(`JSON parsing failed for days ${start}-${end}: ${parseError.message}`);
-                    }
-                } else {
-                    throw new Error(`No valid JSON array found in response for days ${start}-${end}`);
-                }
-            }
-            console.log(`✅ Parsed chunk for days ${start}-${end}:`, chunk.length, "days");
-            
-            // Validate chunk structure
-            if (!Array.isArray(chunk)) {
-                throw new Error(`Expected array but got ${typeof chunk} for days ${start}-${end}`);
-            }
-            
-            // Validate each day has the required structure
-            chunk.forEach((day, index) => {
-                if (!day.title || !day.itinerary || !Array.isArray(day.itinerary)) {
-                    throw new Error(`Invalid day structure at index ${index} in chunk ${start}-${end}`);
-                }
-                
-                day.itinerary.forEach((place, placeIndex) => {
-                    if (!place.name || !place.description || !place.location || 
-                        typeof place.location.lat !== 'number' || typeof place.location.lng !== 'number') {
-                        throw new Error(`Invalid place structure at place ${placeIndex} in day ${index} of chunk ${start}-${end}`);
-                    }
-                });
+// Day-by-day city list for the requested chunk of a multi-city trip
+const describePlan = (plan, start, end) =>
+    plan
+        .slice(start - 1, end)
+        .map(({ day, city, transfer }) =>
+            transfer
+                ? `- Day ${day}: ${city} (TRANSFER DAY: travel from ${transfer.from} to ${city} in the morning, then only 2-3 places in ${city})`
+                : `- Day ${day}: ${city}`
+        )
+        .join("\n");
+
+const buildMultiCityChunkPrompt = (legs, budget, plan, start, end, preferences) => `Generate a detailed day-by-day travel itinerary for a multi-city trip with a total budget of ${budget}:
+${legs.map((leg) => `- ${leg.city.trim()}: ${leg.nights} night(s)`).join("\n")}
+
+Create plans ONLY for days ${start} to ${end}, in these cities:
+${describePlan(plan, start, end)}
+
+Every place must be in the city given for its day. Each place must include a long detailed description (history, cultural significance, architecture, interesting facts, and visitor tips).
+
+IMPORTANT: Use REAL and ACCURATE coordinates (latitude and longitude) for each location.
+
+ALSO IMPORTANT: For each place, include 3-4 nearby restaurants/food shops and 2-3 nearby hotels with real names, ratings, and prices. ${PRICE_RULE} ${VISIT_RULE}
+
+On a TRANSFER DAY, add a "transfer" object describing the best way to travel between the two cities (train, bus, flight or car), how long it takes and any tips. Leave it out on other days.
+
+${preferenceSection(preferences)}CRITICAL: Return ONLY valid JSON in this exact structure, with NO additional text, explanations, or markdown formatting:
+
+[
+  {
+    "title": "Day ${start}: Short Title",
+    "city": "${plan[start - 1].city}",
+    "transfer": { "mode": "Train", "duration": "2h 15m", "description": "How to get there, where to buy tickets" },
+    "itinerary": [
+      ${indent(PLACE_EXAMPLE, 6)}
+    ]
+  }
+]
+Do not include any text before or after the JSON array. Start with [ and end with ].`;
+
+const buildRepairPrompt = (originalPrompt, previousText, errors) => `${originalPrompt}
+
+Your previous answer for this request was rejected. Here is what you returned:
+
+${previousText.substring(0, 12000)}
+
+It has the following problems:
+${formatValidationErrors(errors)}
+
+Fix EVERY problem listed above and return the complete corrected JSON array. Keep all valid entries unchanged.
+Do not include any text before or after the JSON array. Start with [ and end with ].`;
+
+// Lists what every other day already visits so replacements don't repeat it
+const describeOtherDays = (itinerary, skipDayIndex) =>
+    itinerary
+        .map((day, i) =>
+            i === skipDayIndex
+                ? null
+                : `- Day ${i + 1} (${day.title}): ${day.itinerary.map((p) => p.name).join(", ")}`
+        )
+        .filter(Boolean)
+        .join("\n") || "- (no other days)";
+
+// The city a day takes place in: its own for multi-city trips, else the trip's
+const cityOfDay = (itinerary, dayIndex, city) => itinerary[dayIndex]?.city || city;
+
+const buildDayPrompt = (city, budget, itinerary, dayIndex, preferences) => `You are revising one day of an existing ${itinerary.length}-day travel itinerary for ${city} with a total budget of ${budget}.
+
+Create a NEW plan for Day ${dayIndex + 1} only, in ${cityOfDay(itinerary, dayIndex, city)}. The current plan for that day ("${itinerary[dayIndex].title}") was rejected, so choose different places.${
+    itinerary[dayIndex].transfer
+        ? ` It is a transfer day from ${itinerary[dayIndex].transfer.from}, so plan only 2-3 places.`
+        : ""
+}
+
+The other days already visit these places. Do NOT include any of them:
+${describeOtherDays(itinerary, dayIndex)}
+
+Each place must include a long detailed description (history, cultural significance, architecture, interesting facts, and visitor tips).
+
+IMPORTANT: Use REAL and ACCURATE coordinates (latitude and longitude) for each location in ${cityOfDay(itinerary, dayIndex, city)}.
+
+ALSO IMPORTANT: For each place, include 3-4 nearby restaurants/food shops and 2-3 nearby hotels with real names, ratings, and prices. ${PRICE_RULE} ${VISIT_RULE}
+
+${preferenceSection(preferences)}CRITICAL: Return ONLY valid JSON: an array with exactly one day in this structure, with NO additional text, explanations, or markdown formatting:
+
+[
+  {
+    "title": "Day ${dayIndex + 1}: Short Title",
+    "itinerary": [
+      ${indent(PLACE_EXAMPLE, 6)}
+    ]
+  }
+]
+Do not include any text before or after the JSON array. Start with [ and end with ].`;
+
+const buildPlacePrompt = (city, budget, itinerary, dayIndex, placeIndex, preferences) => {
+    const day = itinerary[dayIndex];
+    const replaced = day.itinerary[placeIndex];
+    const sameDay = day.itinerary
+        .filter((_, i) => i !== placeIndex)
+        .map((p) => `- ${p.name} (${p.location.lat}, ${p.location.lng})`)
+        .join("\n") || "- (no other stops)";
+
+    return `You are revising one stop of an existing travel itinerary for ${city} with a total budget of ${budget}.
+
+Suggest ONE place in ${cityOfDay(itinerary, dayIndex, city)} to replace "${replaced.name}" on Day ${dayIndex + 1} ("${day.title}").
+
+Other stops on the same day (prefer a place close to these so the route stays compact):
+${sameDay}
+
+Places visited on other days:
+${describeOtherDays(itinerary, dayIndex)}
+
+Do NOT suggest "${replaced.name}" or any place listed above.
+
+The place must include a long detailed description (history, cultural significance, architecture, interesting facts, and visitor tips), REAL and ACCURATE coordinates, 3-4 nearby restaurants/food shops and 2-3 nearby hotels with real names, ratings, and prices. ${PRICE_RULE} ${VISIT_RULE}
+
+${preferenceSection(preferences)}CRITICAL: Return ONLY valid JSON: an array with exactly one place in this structure, with NO additional text, explanations, or markdown formatting:
+
+[
+  ${indent(PLACE_EXAMPLE, 2)}
+]
+Do not include any text before or after the JSON array. Start with [ and end with ].`;
+};
+
+const buildEnrichPrompt = (city, day, dayIndex, preferences) => `You are completing Day ${dayIndex + 1} ("${day.title}") of an existing travel itinerary for ${day.city || city}.
+
+The traveller has already chosen these stops, in this order:
+${day.itinerary.map((p, i) => `${i + 1}. ${p.name} (${p.location.lat}, ${p.location.lng})`).join("\n")}
+
+For EACH stop, in the same order, write a long detailed description (history, cultural significance, architecture, interesting facts, and visitor tips) and include 3-4 nearby restaurants/food shops and 2-3 nearby hotels with real names, ratings, and prices. ${PRICE_RULE} ${VISIT_RULE}
+
+Keep every "name" and "location" exactly as given. Do NOT add, remove or reorder stops.
+
+${preferenceSection(preferences)}CRITICAL: Return ONLY valid JSON: an array with exactly ${day.itinerary.length} place(s) in this structure, with NO additional text, explanations, or markdown formatting:
+
+[
+  ${indent(PLACE_EXAMPLE, 2)}
+]
+Do not include any text before or after the JSON array. Start with [ and end with ].`;
+
+const buildBaseHotelPrompt = (city, budget, itinerary, dayIndexes, preferences) => `You are choosing where to stay for ${dayIndexes.length} night(s) of a travel itinerary in ${city} with a total budget of ${budget}.
+
+Each day the traveller leaves the hotel in the morning, visits these stops in order, and returns in the evening:
+${dayIndexes
+    .map((i) => {
+        const day = itinerary[i];
+        const stops = day.itinerary.map((p) => `${p.name} (${p.location.lat}, ${p.location.lng})`).join(", ");
+        return `- Day ${i + 1} (${day.title}): ${stops}`;
+    })
+    .join("\n")}
+
+Suggest ONE real hotel in ${city} that keeps the total travel between the hotel and each day's first and last stop as short as possible, ideally near public transport. Its nightly price must leave room in the budget for meals, entry fees and transport.
+
+The hotel must have REAL and ACCURATE coordinates. ${CURRENCY_RULE}
+
+${preferenceSection(preferences)}CRITICAL: Return ONLY valid JSON: an array with exactly one hotel in this structure, with NO additional text, explanations, or markdown formatting:
+
+[
+  ${indent(BASE_HOTEL_EXAMPLE, 2)}
+]
+Do not include any text before or after the JSON array. Start with [ and end with ].`;
+
+// Pulls the JSON array out of a model response; throws if nothing parses
+const parseJsonArray = (text) => {
+    // More robust JSON extraction
+    let cleaned = text.trim();
+
+    // Remove markdown code blocks
+    cleaned = cleaned.replace(/```json\s*/g, "").replace(/```\s*/g, "");
+
+    // Find the first [ and last ] to extract just the JSON array
+    const firstBracket = cleaned.indexOf('[');
+    const lastBracket = cleaned.lastIndexOf(']');
+
+    if (firstBracket !== -1 && lastBracket !== -1 && lastBracket > firstBracket) {
+        cleaned = cleaned.substring(firstBracket, lastBracket + 1);
+    }
+
+    console.log(`🧹 Cleaned response:`, cleaned.substring(0, 300) + "...");
+
+    try {
+        return JSON.parse(cleaned);
+    } catch (parseError) {
+        console.error(`❌ JSON parse error:`, parseError.message);
+        console.error(`❌ Problematic text:`, cleaned.substring(0, 500));
+
+        // Try to find and extract valid JSON more aggressively
+        const jsonMatch = cleaned.match(/\[[\s\S]*\]/);
+        if (!jsonMatch) {
+            throw new Error("No valid JSON array found in response");
+        }
+        const recovered = JSON.parse(jsonMatch[0]);
+        console.log(`✅ Recovered JSON using regex match`);
+        return recovered;
+    }
+};
+
+const getModel = () => {
+    // Check if API key exists
+    const apiKey = process.env.REACT_APP_GEMINI_API_KEY;
+    if (!apiKey) {
+        console.error("🔑 No Gemini API key found! Please add REACT_APP_GEMINI_API_KEY to your .env file");
+        throw new MissingApiKeyError();
+    }
+
+    console.log("🔑 API key found, length:", apiKey.length);
+    return genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+};
+
+/**
+ * Sends `prompt` and validates the parsed JSON array with `validateResponse`.
+ * When the response is malformed, the model is re-prompted with the exact
+ * violations (up to MAX_REPAIR_ATTEMPTS times) before giving up.
+ */
+const requestWithRepair = async (model, prompt, validateResponse, { signal, label }) => {
+    let currentPrompt = prompt;
+    let errors = [];
+
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+        if (signal?.aborted) throw new CancelledError();
+        if (attempt > 0) {
+            console.log(`🔧 Repair attempt ${attempt} for ${label}`);
+        }
+
+        console.log(`🤖 Sending request to Gemini API...`);
+        const result = await model.generateContent(currentPrompt, { signal });
+        const response = await result.response;
+        const text = response.text();
+
+        console.log(`📝 Raw API response:`, text.substring(0, 500) + "...");
+
+        let parsed;
+        try {
+            parsed = parseJsonArray(text);
+            errors = validateResponse(parsed);
+        } catch (parseError) {
+            errors = [{ path: "$", message: `response is not valid JSON (${parseError.message})` }];
+        }
+
+        if (!errors.length) {
+            console.log(`✅ Parsed ${label}:`, parsed.length, "item(s)");
+            return parsed;
+        }
+
+        console.warn(`⚠️ ${errors.length} schema violation(s) for ${label}:\n${formatValidationErrors(errors)}`);
+        currentPrompt = buildRepairPrompt(prompt, text, errors);
+    }
+
+    throw new ParseError(
+        `Invalid response for ${label} after ${MAX_REPAIR_ATTEMPTS} repair attempt(s):\n${formatValidationErrors(errors)}`,
+        { violations: errors }
+    );
+};
+
+// Requests one chunk of days and validates it against the itinerary schema.
+// For multi-city trips each day is stamped with its planned city and transfer.
+const generateChunk = async (model, city, budget, start, end, { signal, legs, plan, preferences } = {}) => {
+    const chunk = await requestWithRepair(
+        model,
+        plan
+            ? buildMultiCityChunkPrompt(legs, budget, plan, start, end, preferences)
+            : buildChunkPrompt(city, budget, start, end, preferences),
+        (days) => validateItinerary(days, { expectedDays: end - start + 1 }),
+        { signal, label: `days ${start}-${end}` }
+    );
+    if (!plan) return chunk;
+
+    return chunk.map((day, i) => {
+        const { city: dayCity, transfer } = plan[start - 1 + i];
+        const { transfer: suggested, ...rest } = day;
+        return transfer
+            ? { ...rest, city: dayCity, transfer: { ...suggested, ...transfer } }
+            : { ...rest, city: dayCity };
+    });
+};
+
+/**
+ * Generates `days` days of itinerary in chunks of CHUNK_SIZE.
+ *
+ * Throws a typed error from ./errors on failure. When earlier chunks already
+ * succeeded, a PartialItineraryError carries them so the caller can keep them
+ * and resume from `nextDay` by passing it back as `startDay`.
+ *
+ * Progress callbacks let the UI render days as soon as they are ready:
+ * - onChunkStart({ start, end, total }) before each request
+ * - onChunk({ days, start, end, total }) once a chunk has been validated
+ *
+ * Pass an AbortSignal as `signal` to stop between (and during) chunk requests;
+ * the call then rejects with a CancelledError.
+ *
+ * For a multi-city trip pass `legs` ([{ city, nights }], see utils/tripLegs);
+ * `days` is then the total number of nights and every day gets a `city`.
+ * `preferences` (see utils/preferences) shape the places, pace and food chosen.
+ * `currency` is the ISO code the budget is given in.
+ */
+export async function generateItinerary(
+    city,
+    budget,
+    days,
+    { startDay = 1, onChunkStart, onChunk, signal, legs, preferences, currency } = {}
+) {
+    const model = getModel();
+    const plan = legs?.length > 1 ? planDays(legs) : null;
+
+    // how many days we allow per chunk
+    const CHUNK_SIZE = 7;
+
+    let fullItinerary = [];
+    let start = startDay;
+
+    try {
+        console.log(`🚀 Generating itinerary for ${city}, ${days} days, budget: ${budget}`);
+        
+        for (; start <= days; start += CHUNK_SIZE) {
+            const end = Math.min(start + CHUNK_SIZE - 1, days);
+            if (signal?.aborted) throw new CancelledError();
+            console.log(`📅 Processing days ${start} to ${end}`);
+            onChunkStart?.({ start, end, total: days });
+
+            const chunk = await generateChunk(model, city, describeBudget(budget, currency), start, end, {
+                signal,
+                legs,
+                plan,
+                preferences,
             });
+            if (signal?.aborted) throw new CancelledError();
 
             fullItinerary = [...fullItinerary, ...chunk];
+            onChunk?.({ days: chunk, start, end, total: days });
         }
 
         console.log(`🎉 Successfully generated ${fullItinerary.length} days of itinerary`);
         
-        // Final validation - ensure we got the expected number of days
-        if (fullItinerary.length !== days) {
-            console.warn(`⚠️ Warning: Expected ${days} days but got ${fullItinerary.length} days`);
-        }
-        
         return fullItinerary;
     } catch (err) {
-        console.error("❌ Error generating itinerary:", err);
-        console.error("❌ Error details:", {
-            message: err.message,
-            stack: err.stack,
-            name: err.name
-        });
-        
-        // Check if it's an API key issue
-        if (err.message?.includes('API_KEY') || err.message?.includes('401') || err.message?.includes('authentication')) {
+        const error = signal?.aborted && err.name !== "CancelledError"
+            ? new CancelledError({ cause: err })
+            : classifyGeminiError(err);
+        if (error.name === "CancelledError") {
+            console.log(`🛑 Generation cancelled at day ${start}`);
+        } else {
+            console.error("❌ Error generating itinerary:", err);
+        }
+
+        if (error.name === "AuthError") {
             console.error("🔑 This appears to be an API key issue. Please check your REACT_APP_GEMINI_API_KEY in .env file");
         }
-        
-        return [
-            {
-                title: "Day 1: Default Plan (API Error)",
-                itinerary: [
-                    {
-                        name: "Fallback Spot",
-                        description: `Default location because AI parsing failed. Error: ${err.message}`,
-                        location: { lat: 28.6139, lng: 77.2090, label: "Fallback Spot" }
-                    }
-                ]
+
+        if (fullItinerary.length > 0) {
+            throw new PartialItineraryError(fullItinerary, start, error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Generates a replacement for a single day. The rest of the itinerary is sent
+ * as context so the new day avoids places that are already planned.
+ * Resolves to the new day object; throws a typed error from ./errors.
+ */
+export async function regenerateDay(city, budget, itinerary, dayIndex, { signal, preferences, currency } = {}) {
+    const model = getModel();
+
+    try {
+        console.log(`🔁 Regenerating day ${dayIndex + 1} for ${city}`);
+        const [day] = await requestWithRepair(
+            model,
+            buildDayPrompt(city, describeBudget(budget, currency), itinerary, dayIndex, preferences),
+            (days) => validateItinerary(days, { expectedDays: 1 }),
+            { signal, label: `day ${dayIndex + 1}` }
+        );
+        // The day stays in the same city, with the same journey into it
+        const { city: dayCity, transfer } = itinerary[dayIndex];
+        return {
+            ...day,
+            ...(dayCity ? { city: dayCity } : {}),
+            ...(transfer ? { transfer } : {}),
+        };
+    } catch (err) {
+        console.error("❌ Error regenerating day:", err);
+        throw classifyGeminiError(err);
+    }
+}
+
+/**
+ * Suggests a replacement for one stop, avoiding every other place in the
+ * itinerary. Resolves to the new place object; throws a typed error from ./errors.
+ */
+export async function replacePlace(
+    city,
+    budget,
+    itinerary,
+    dayIndex,
+    placeIndex,
+    { signal, preferences, currency } = {}
+) {
+    const model = getModel();
+
+    try {
+        console.log(`🔁 Replacing stop ${placeIndex + 1} of day ${dayIndex + 1} for ${city}`);
+        const [place] = await requestWithRepair(
+            model,
+            buildPlacePrompt(city, describeBudget(budget, currency), itinerary, dayIndex, placeIndex, preferences),
+            (places) => validatePlaces(places, { expectedPlaces: 1 }),
+            { signal, label: `stop ${placeIndex + 1} of day ${dayIndex + 1}` }
+        );
+        return place;
+    } catch (err) {
+        console.error("❌ Error replacing stop:", err);
+        throw classifyGeminiError(err);
+    }
+}
+
+/**
+ * Suggests one base hotel for the nights after `dayIndexes`, placed to keep
+ * the daily trips to and from the stops short. Resolves to the hotel (with
+ * its location); throws a typed error from ./errors.
+ */
+export async function suggestBaseHotel(
+    city,
+    budget,
+    itinerary,
+    dayIndexes,
+    { signal, preferences, currency } = {}
+) {
+    const model = getModel();
+
+    try {
+        console.log(`🏨 Suggesting a base hotel in ${city} for ${dayIndexes.length} night(s)`);
+        const [hotel] = await requestWithRepair(
+            model,
+            buildBaseHotelPrompt(city, describeBudget(budget, currency), itinerary, dayIndexes, preferences),
+            (hotels) => validateHotels(hotels, { expectedHotels: 1 }),
+            { signal, label: "base hotel" }
+        );
+        return hotel;
+    } catch (err) {
+        console.error("❌ Error suggesting a hotel:", err);
+        throw classifyGeminiError(err);
+    }
+}
+
+/**
+ * Fills in descriptions and nearby food/hotels for an imported itinerary
+ * without changing its stops. Names and coordinates always come from the
+ * input. Resolves to the enriched itinerary; throws a typed error from ./errors.
+ */
+export async function enrichItinerary(city, itinerary, { signal, onDay, preferences } = {}) {
+    const model = getModel();
+    const enriched = [];
+
+    try {
+        for (let dayIndex = 0; dayIndex < itinerary.length; dayIndex++) {
+            const day = itinerary[dayIndex];
+            if (!day.itinerary?.length) {
+                enriched.push(day);
+                continue;
             }
-        ];
+
+            console.log(`✨ Enriching day ${dayIndex + 1} for ${city}`);
+            const places = await requestWithRepair(
+                model,
+                buildEnrichPrompt(city, day, dayIndex, preferences),
+                (result) => validatePlaces(result, { expectedPlaces: day.itinerary.length }),
+                { signal, label: `day ${dayIndex + 1} enrichment` }
+            );
+
+            enriched.push({
+                ...day,
+                itinerary: day.itinerary.map((place, i) => ({
+                    ...place,
+                    description: place.description || places[i].description,
+                    entryFee: place.entryFee || places[i].entryFee,
+                    visitMinutes: place.visitMinutes || places[i].visitMinutes,
+                    nearbyFood: place.nearbyFood?.length ? place.nearbyFood : places[i].nearbyFood,
+                    nearbyHotels: place.nearbyHotels?.length ? place.nearbyHotels : places[i].nearbyHotels,
+                })),
+            });
+            onDay?.(dayIndex);
+        }
+        return enriched;
+    } catch (err) {
+        console.error("❌ Error enriching itinerary:", err);
+        const error = classifyGeminiError(err);
+        if (enriched.length > 0) {
+            throw new PartialItineraryError(enriched, enriched.length + 1, error);
+        }
+        throw error;
     }
 }
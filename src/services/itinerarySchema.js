@@ -0,0 +1,235 @@
+// src/services/itinerarySchema.js
+// Declarative description of the itinerary JSON that Gemini must return, and a
+// small validator that reports every violation instead of stopping at the first.
+
+const RATING_PATTERN = /^\d(\.\d+)?\s*\/\s*5$/;
+// Any price string that carries at least one digit, e.g. "₹2000/night" or "$120"
+const PRICE_PATTERN = /\d/;
+
+const locationSchema = {
+    type: "object",
+    required: ["lat", "lng"],
+    properties: {
+        lat: { type: "number", minimum: -90, maximum: 90 },
+        lng: { type: "number", minimum: -180, maximum: 180 },
+        label: { type: "string" },
+    },
+};
+
+const foodSchema = {
+    type: "object",
+    required: ["name", "rating", "distance", "description"],
+    properties: {
+        name: { type: "string", minLength: 1 },
+        rating: { type: "string", pattern: RATING_PATTERN, hint: 'a rating like "4.5/5"' },
+        distance: { type: "string", minLength: 1 },
+        description: { type: "string", minLength: 1 },
+        price: { type: "string", minLength: 1 },
+    },
+};
+
+const hotelSchema = {
+    type: "object",
+    required: ["name", "rating", "price", "distance", "description"],
+    properties: {
+        name: { type: "string", minLength: 1 },
+        rating: { type: "string", pattern: RATING_PATTERN, hint: 'a rating like "4.3/5"' },
+        price: { type: "string", pattern: PRICE_PATTERN, hint: 'a price like "EUR 120/night"' },
+        distance: { type: "string", minLength: 1 },
+        description: { type: "string", minLength: 1 },
+        location: locationSchema,
+    },
+};
+
+// A hotel suggested as the trip's base must say where it is
+const baseHotelSchema = {
+    ...hotelSchema,
+    required: ["name", "rating", "price", "description", "location"],
+};
+
+const placeSchema = {
+    type: "object",
+    required: ["name", "description", "location"],
+    properties: {
+        name: { type: "string", minLength: 1 },
+        description: { type: "string", minLength: 1 },
+        location: locationSchema,
+        // "EUR 15", "Free"; read by utils/budget
+        entryFee: { type: "string", minLength: 1 },
+        // time spent at the stop; read by utils/scheduler
+        visitMinutes: { type: "number", minimum: 10, maximum: 720 },
+        nearbyFood: { type: "array", items: foodSchema },
+        nearbyHotels: { type: "array", items: hotelSchema },
+    },
+};
+
+// Only on the first day in a new city of a multi-city trip
+const transferSchema = {
+    type: "object",
+    properties: {
+        from: { type: "string" },
+        to: { type: "string" },
+        mode: { type: "string" },
+        duration: { type: "string" },
+        description: { type: "string" },
+    },
+};
+
+const daySchema = {
+    type: "object",
+    required: ["title", "itinerary"],
+    properties: {
+        title: { type: "string", minLength: 1 },
+        city: { type: "string", minLength: 1 },
+        transfer: transferSchema,
+        itinerary: { type: "array", minItems: 1, items: placeSchema },
+    },
+};
+
+export const itinerarySchema = {
+    type: "array",
+    minItems: 1,
+    items: daySchema,
+};
+
+// Imported trips (e.g. bare GPX waypoints) may have stops without descriptions
+const draftPlaceSchema = {
+    ...placeSchema,
+    required: ["name", "location"],
+    properties: { ...placeSchema.properties, description: { type: "string" } },
+};
+
+const draftItinerarySchema = {
+    ...itinerarySchema,
+    items: {
+        ...daySchema,
+        properties: {
+            ...daySchema.properties,
+            itinerary: { type: "array", items: draftPlaceSchema },
+        },
+    },
+};
+
+const typeOf = (value) => {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (typeof value === "number" && Number.isNaN(value)) return "NaN";
+    return typeof value;
+};
+
+const joinPath = (path, key) =>
+    typeof key === "number" ? `${path}[${key}]` : `${path}.${key}`;
+
+/**
+ * Validates `value` against a schema node and returns a flat list of
+ * `{ path, message }` violations. An empty list means the value is valid.
+ */
+export function validate(value, schema, path = "$") {
+    const errors = [];
+    const actual = typeOf(value);
+
+    if (actual !== schema.type) {
+        errors.push({ path, message: `expected ${schema.type} but got ${actual}` });
+        return errors;
+    }
+
+    if (schema.type === "string") {
+        if (schema.minLength && value.trim().length < schema.minLength) {
+            errors.push({ path, message: "must not be empty" });
+        } else if (schema.pattern && !schema.pattern.test(value)) {
+            errors.push({
+                path,
+                message: `"${value}" is not ${schema.hint || `in the format ${schema.pattern}`}`,
+            });
+        }
+    }
+
+    if (schema.type === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `${value} is below the minimum of ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `${value} is above the maximum of ${schema.maximum}` });
+        }
+    }
+
+    if (schema.type === "array") {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push({ path, message: `must contain at least ${schema.minItems} item(s)` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validate(item, schema.items, joinPath(path, index)));
+            });
+        }
+    }
+
+    if (schema.type === "object") {
+        (schema.required || []).forEach((key) => {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push({ path: joinPath(path, key), message: "is required" });
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+            if (value[key] === undefined || value[key] === null) return;
+            errors.push(...validate(value[key], propSchema, joinPath(path, key)));
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Validates a list of day objects. Pass `expectedDays` to also check that the
+ * model returned exactly the number of days that were requested.
+ */
+export function validateItinerary(days, { expectedDays } = {}) {
+    const errors = validate(days, itinerarySchema);
+    if (Array.isArray(days) && expectedDays && days.length !== expectedDays) {
+        errors.push({
+            path: "$",
+            message: `expected exactly ${expectedDays} day(s) but got ${days.length}`,
+        });
+    }
+    return errors;
+}
+
+/**
+ * Like validateItinerary, but accepts stops without descriptions and days
+ * without stops, as produced by imports.
+ */
+export function validateDraftItinerary(days) {
+    return validate(days, draftItinerarySchema);
+}
+
+/**
+ * Validates a bare list of places, e.g. a single replacement stop.
+ */
+export function validatePlaces(places, { expectedPlaces } = {}) {
+    const errors = validate(places, { type: "array", minItems: 1, items: placeSchema });
+    if (Array.isArray(places) && expectedPlaces && places.length !== expectedPlaces) {
+        errors.push({
+            path: "$",
+            message: `expected exactly ${expectedPlaces} place(s) but got ${places.length}`,
+        });
+    }
+    return errors;
+}
+
+/**
+ * Validates a list of suggested base hotels, which need coordinates.
+ */
+export function validateHotels(hotels, { expectedHotels } = {}) {
+    const errors = validate(hotels, { type: "array", minItems: 1, items: baseHotelSchema });
+    if (Array.isArray(hotels) && expectedHotels && hotels.length !== expectedHotels) {
+        errors.push({
+            path: "$",
+            message: `expected exactly ${expectedHotels} hotel(s) but got ${hotels.length}`,
+        });
+    }
+    return errors;
+}
+
+export function formatValidationErrors(errors) {
+    return errors.map((err) => `- ${err.path}: ${err.message}`).join("\n");
+}
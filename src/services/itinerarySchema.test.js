@@ -0,0 +1,61 @@
+import { validateItinerary, validateHotels, formatValidationErrors } from './itinerarySchema';
+
+const validDay = () => ({
+  title: 'Day 1: Old Town',
+  itinerary: [
+    {
+      name: 'Fort',
+      description: 'A large fort.',
+      location: { lat: 28.65, lng: 77.24, label: 'Fort' },
+      nearbyFood: [
+        { name: 'Cafe', rating: '4.5/5', distance: '200m away', description: 'Chai and snacks' },
+      ],
+      nearbyHotels: [
+        { name: 'Inn', rating: '4.1/5', price: '₹2000/night', distance: '1km away', description: 'Simple rooms' },
+      ],
+    },
+  ],
+});
+
+test('accepts a well-formed itinerary', () => {
+  expect(validateItinerary([validDay()], { expectedDays: 1 })).toEqual([]);
+});
+
+test('reports every violation with its path', () => {
+  const day = validDay();
+  day.itinerary[0].location.lat = 'north';
+  day.itinerary[0].nearbyFood[0].rating = 'great';
+  delete day.itinerary[0].nearbyHotels[0].price;
+
+  const errors = validateItinerary([day, { title: '' }]);
+  const paths = errors.map((e) => e.path);
+
+  expect(paths).toEqual([
+    '$[0].itinerary[0].location.lat',
+    '$[0].itinerary[0].nearbyFood[0].rating',
+    '$[0].itinerary[0].nearbyHotels[0].price',
+    '$[1].itinerary',
+    '$[1].title',
+  ]);
+});
+
+test('rejects an implausible visit length', () => {
+  const day = validDay();
+  day.itinerary[0].visitMinutes = 2000;
+
+  expect(formatValidationErrors(validateItinerary([day]))).toBe(
+    '- $[0].itinerary[0].visitMinutes: 2000 is above the maximum of 720'
+  );
+});
+
+test('checks the requested day count', () => {
+  const errors = validateItinerary([validDay()], { expectedDays: 2 });
+  expect(formatValidationErrors(errors)).toBe('- $: expected exactly 2 day(s) but got 1');
+});
+
+test('requires coordinates on a suggested base hotel', () => {
+  const hotel = { name: 'Hotel', rating: '4.2/5', price: 'EUR 110/night', description: 'Central' };
+
+  expect(formatValidationErrors(validateHotels([hotel]))).toBe('- $[0].location: is required');
+  expect(validateHotels([{ ...hotel, location: { lat: 41.9, lng: 12.5 } }], { expectedHotels: 1 })).toEqual([]);
+});
@@ -0,0 +1,167 @@
+// src/services/routing.js
+// Street-following route geometry from an OSRM- or Valhalla-compatible HTTP
+// router. Off unless configured, so stop coordinates never leave the browser
+// by default. Configure in .env:
+//   REACT_APP_ROUTING_URL       base URL, e.g. http://localhost:5000 for a local OSRM
+//   REACT_APP_ROUTING_PROVIDER  "osrm" (default), "valhalla" or "none"
+//   REACT_APP_ROUTING_PROFILE   "foot" (default), "car" or "bike"
+// Callers fall back to straight lines when routing is off or the router fails.
+import { RoutingError } from "./errors";
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Least recently used routes are dropped beyond this many
+const MAX_CACHED_ROUTES = 100;
+
+const cache = new Map(); // request key -> Promise of { positions, km, minutes }, oldest first
+
+/**
+ * Decodes a Google-style encoded polyline into [[lat, lng], ...].
+ * Valhalla uses precision 6, OSRM's "polyline" format precision 5.
+ */
+export function decodePolyline(encoded, precision = 6) {
+    const factor = 10 ** precision;
+    const positions = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    const next = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        return result & 1 ? ~(result >> 1) : result >> 1;
+    };
+
+    while (index < encoded.length) {
+        lat += next();
+        lng += next();
+        positions.push([lat / factor, lng / factor]);
+    }
+    return positions;
+}
+
+const OSRM_PROFILES = { foot: "foot", car: "driving", bike: "bike" };
+const VALHALLA_COSTING = { foot: "pedestrian", car: "auto", bike: "bicycle" };
+
+/**
+ * Each provider turns stops into a fetch() request and the response into
+ * { positions: [[lat, lng], ...], km, minutes }.
+ */
+export const ROUTING_PROVIDERS = {
+    osrm: {
+        buildRequest(baseUrl, points, profile) {
+            const coords = points.map((p) => `${p.lng},${p.lat}`).join(";");
+            return {
+                url: `${baseUrl}/route/v1/${OSRM_PROFILES[profile] || profile}/${coords}?overview=full&geometries=geojson`,
+                init: {},
+            };
+        },
+        parse(data) {
+            const route = data?.routes?.[0];
+            if (data?.code !== "Ok" || !route?.geometry?.coordinates) {
+                throw new RoutingError(data?.message || `OSRM returned "${data?.code}"`);
+            }
+            return {
+                positions: route.geometry.coordinates.map(([lng, lat]) => [lat, lng]),
+                km: route.distance / 1000,
+                minutes: route.duration / 60,
+            };
+        },
+    },
+    valhalla: {
+        buildRequest(baseUrl, points, profile) {
+            return {
+                url: `${baseUrl}/route`,
+                init: {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify({
+                        locations: points.map((p) => ({ lat: p.lat, lon: p.lng })),
+                        costing: VALHALLA_COSTING[profile] || profile,
+                        directions_options: { units: "kilometers" },
+                    }),
+                },
+            };
+        },
+        parse(data) {
+            const trip = data?.trip;
+            if (!trip?.legs?.length) {
+                throw new RoutingError(data?.error || "Valhalla returned no route");
+            }
+            return {
+                positions: trip.legs.flatMap((leg) => decodePolyline(leg.shape, 6)),
+                km: trip.summary.length,
+                minutes: trip.summary.time / 60,
+            };
+        },
+    },
+};
+
+/**
+ * Routing settings from the environment; `provider` is null when disabled,
+ * which includes having no REACT_APP_ROUTING_URL.
+ */
+export function getRoutingConfig(env = process.env) {
+    const name = (env.REACT_APP_ROUTING_PROVIDER || "osrm").toLowerCase();
+    const provider = ROUTING_PROVIDERS[name] ? name : null;
+    const baseUrl = (env.REACT_APP_ROUTING_URL || "").replace(/\/+$/, "");
+    return {
+        provider: baseUrl ? provider : null,
+        baseUrl,
+        profile: env.REACT_APP_ROUTING_PROFILE || "foot",
+    };
+}
+
+const requestRoute = async (config, points) => {
+    const { buildRequest, parse } = ROUTING_PROVIDERS[config.provider];
+    const { url, init } = buildRequest(config.baseUrl, points, config.profile);
+
+    // Give up on slow routers so the map does not wait forever for geometry
+    const timeout = new AbortController();
+    const timer = setTimeout(() => timeout.abort(), REQUEST_TIMEOUT_MS);
+
+    try {
+        const res = await fetch(url, { ...init, signal: timeout.signal });
+        if (!res.ok) throw new RoutingError(`Router responded with HTTP ${res.status}`);
+        return parse(await res.json());
+    } catch (err) {
+        if (err instanceof RoutingError) throw err;
+        throw new RoutingError(`Router request failed: ${err.message}`, { cause: err });
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Street geometry through `points` ({ lat, lng }) in order. Results are cached
+ * (up to MAX_CACHED_ROUTES, least recently used out first) per provider,
+ * profile and stop list and shared between callers, so a caller
+ * that no longer needs the result should simply ignore it. Throws RoutingError
+ * when routing is disabled or the router fails.
+ */
+export async function fetchRouteGeometry(points, { config = getRoutingConfig() } = {}) {
+    if (!config.provider) throw new RoutingError("No routing provider is configured.");
+    if (points.length < 2) return { positions: points.map((p) => [p.lat, p.lng]), km: 0, minutes: 0 };
+
+    const key = `${config.provider}|${config.baseUrl}|${config.profile}|${points.map((p) => `${p.lat},${p.lng}`).join(";")}`;
+    let request = cache.get(key);
+    if (request) {
+        // Re-insert to mark it as the most recently used
+        cache.delete(key);
+    } else {
+        request = requestRoute(config, points);
+        // Failures are not cached, so the next render can try again
+        request.catch(() => {
+            if (cache.get(key) === request) cache.delete(key);
+        });
+    }
+    cache.set(key, request);
+    if (cache.size > MAX_CACHED_ROUTES) cache.delete(cache.keys().next().value);
+    return request;
+}
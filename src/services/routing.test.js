@@ -0,0 +1,71 @@
+import { decodePolyline, fetchRouteGeometry, getRoutingConfig } from './routing';
+
+const points = [{ lat: 52.52, lng: 13.4 }, { lat: 52.53, lng: 13.41 }];
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('reads the provider from the environment', () => {
+  expect(getRoutingConfig({}).provider).toBeNull();
+  expect(getRoutingConfig({ REACT_APP_ROUTING_URL: 'http://localhost:5000' }).provider).toBe('osrm');
+  expect(getRoutingConfig({ REACT_APP_ROUTING_PROVIDER: 'none' }).provider).toBeNull();
+  expect(getRoutingConfig({ REACT_APP_ROUTING_PROVIDER: 'valhalla' }).provider).toBeNull();
+
+  const local = getRoutingConfig({ REACT_APP_ROUTING_PROVIDER: 'valhalla', REACT_APP_ROUTING_URL: 'http://localhost:8002/' });
+  expect(local).toEqual({ provider: 'valhalla', baseUrl: 'http://localhost:8002', profile: 'foot' });
+});
+
+test('decodes precision-5 and precision-6 polylines', () => {
+  // Example from the Google polyline algorithm documentation
+  expect(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@', 5)).toEqual([
+    [38.5, -120.2],
+    [40.7, -120.95],
+    [43.252, -126.453],
+  ]);
+});
+
+test('requests OSRM geometry and converts it to [lat, lng]', async () => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => ({
+      code: 'Ok',
+      routes: [{ distance: 1500, duration: 1200, geometry: { coordinates: [[13.4, 52.52], [13.405, 52.525], [13.41, 52.53]] } }],
+    }),
+  });
+  const config = { provider: 'osrm', baseUrl: 'http://router.test', profile: 'foot' };
+
+  const route = await fetchRouteGeometry(points, { config });
+
+  expect(global.fetch.mock.calls[0][0]).toBe(
+    'http://router.test/route/v1/foot/13.4,52.52;13.41,52.53?overview=full&geometries=geojson'
+  );
+  expect(route.positions[1]).toEqual([52.525, 13.405]);
+  expect(route.km).toBe(1.5);
+  expect(route.minutes).toBe(20);
+});
+
+test('throws RoutingError when the router fails', async () => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+  const config = { provider: 'valhalla', baseUrl: 'http://valhalla.test', profile: 'car' };
+
+  await expect(fetchRouteGeometry(points, { config })).rejects.toMatchObject({ name: 'RoutingError' });
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body).costing).toBe('auto');
+});
+
+test('keeps only the most recently used routes', async () => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => ({ code: 'Ok', routes: [{ distance: 0, duration: 0, geometry: { coordinates: [] } }] }),
+  });
+  const config = { provider: 'osrm', baseUrl: 'http://lru.test', profile: 'foot' };
+  const route = (i) => [{ lat: 1, lng: i }, { lat: 2, lng: i }];
+
+  await fetchRouteGeometry(route(0), { config });
+  await Promise.all(Array.from({ length: 100 }, (_, i) => fetchRouteGeometry(route(i + 1), { config })));
+  expect(global.fetch).toHaveBeenCalledTimes(101);
+
+  await fetchRouteGeometry(route(100), { config }); // still cached
+  await fetchRouteGeometry(route(0), { config }); // evicted, fetched again
+  expect(global.fetch).toHaveBeenCalledTimes(102);
+});
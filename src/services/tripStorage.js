@@ -0,0 +1,133 @@
+// src/services/tripStorage.js
+// Saved-trips library backed by localStorage, so a generated itinerary can be
+// reopened after a reload without another Gemini call.
+
+const STORAGE_KEY = "travel-itinerary:trips";
+const LAST_TRIP_KEY = "travel-itinerary:last-trip";
+
+const createId = () => {
+    if (typeof crypto !== "undefined" && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `trip-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+const readAll = () => {
+    try {
+        const raw = window.localStorage.getItem(STORAGE_KEY);
+        const parsed = raw ? JSON.parse(raw) : [];
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+        console.error("❌ Could not read saved trips:", err);
+        return [];
+    }
+};
+
+// `failure` is the message shown when the write is refused
+const writeAll = (trips, failure = "Could not save the trip. Browser storage may be full.") => {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(trips));
+    } catch (err) {
+        // Most likely the storage quota is exhausted
+        console.error("❌ Could not save trips:", err);
+        throw new Error(failure);
+    }
+};
+
+/**
+ * Returns every saved trip, newest first.
+ */
+export function listTrips() {
+    return readAll().sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+}
+
+export function getTrip(id) {
+    return readAll().find((trip) => trip.id === id) || null;
+}
+
+/**
+ * Saves a generated trip. Pass an existing `id` to update that trip in place;
+ * fields that are left out keep their stored values. Returns the stored record.
+ */
+export function saveTrip({ id, ...fields }) {
+    const trips = readAll();
+    const now = Date.now();
+    const existing = id ? trips.find((trip) => trip.id === id) : null;
+
+    const merged = { ...existing };
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined) merged[key] = value;
+    });
+
+    const record = {
+        ...merged,
+        id: existing ? existing.id : createId(),
+        name: merged.name || `${merged.city} · ${merged.days} day${merged.days === 1 ? "" : "s"}`,
+        createdAt: existing?.createdAt || merged.createdAt || now,
+        updatedAt: now,
+    };
+
+    const next = existing
+        ? trips.map((trip) => (trip.id === record.id ? record : trip))
+        : [...trips, record];
+    writeAll(next);
+    return record;
+}
+
+export function renameTrip(id, name) {
+    const trimmed = (name || "").trim();
+    if (!trimmed) return getTrip(id);
+
+    const trips = readAll();
+    let renamed = null;
+    const next = trips.map((trip) => {
+        if (trip.id !== id) return trip;
+        renamed = { ...trip, name: trimmed, updatedAt: Date.now() };
+        return renamed;
+    });
+    writeAll(next, "Could not rename the trip. Browser storage may be full.");
+    return renamed;
+}
+
+export function duplicateTrip(id) {
+    const original = getTrip(id);
+    if (!original) return null;
+
+    const now = Date.now();
+    const copy = {
+        ...JSON.parse(JSON.stringify(original)),
+        id: createId(),
+        name: `${original.name} (copy)`,
+        createdAt: now,
+        updatedAt: now,
+    };
+    writeAll([...readAll(), copy], "Could not copy the trip. Browser storage may be full.");
+    return copy;
+}
+
+export function deleteTrip(id) {
+    writeAll(
+        readAll().filter((trip) => trip.id !== id),
+        "Could not delete the trip. Browser storage may be unavailable."
+    );
+}
+
+/**
+ * The trip that was on screen last, so /trip/... routes survive a reload.
+ */
+export function getLastTripId() {
+    try {
+        return window.localStorage.getItem(LAST_TRIP_KEY);
+    } catch {
+        return null;
+    }
+}
+
+export function setLastTripId(id) {
+    try {
+        if (id) window.localStorage.setItem(LAST_TRIP_KEY, id);
+        else window.localStorage.removeItem(LAST_TRIP_KEY);
+    } catch (err) {
+        console.error("❌ Could not remember the last trip:", err);
+    }
+}
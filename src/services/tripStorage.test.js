@@ -0,0 +1,70 @@
+import { deleteTrip, duplicateTrip, getTrip, listTrips, renameTrip, saveTrip } from './tripStorage';
+
+const rome = { city: 'Rome', days: 2, budget: 900, currency: 'EUR', itinerary: [{ title: 'Day 1' }, { title: 'Day 2' }] };
+
+const refuseWrites = () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+    throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+  });
+};
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('saves, lists and loads trips', () => {
+  jest.spyOn(Date, 'now').mockReturnValueOnce(1000).mockReturnValueOnce(2000);
+  const first = saveTrip(rome);
+  const second = saveTrip({ ...rome, city: 'Florence', days: 1 });
+
+  expect(first).toMatchObject({ ...rome, name: 'Rome · 2 days', createdAt: 1000 });
+  expect(getTrip(first.id)).toEqual(first);
+  expect(listTrips().map((trip) => trip.name)).toEqual(['Florence · 1 day', 'Rome · 2 days']);
+  expect(getTrip(second.id).city).toBe('Florence');
+  expect(getTrip('missing')).toBeNull();
+});
+
+test('updates a trip in place, keeping fields that are left out', () => {
+  const trip = saveTrip(rome);
+  const updated = saveTrip({ id: trip.id, startTime: '10:00', budget: undefined });
+
+  expect(updated).toMatchObject({ id: trip.id, budget: 900, startTime: '10:00', createdAt: trip.createdAt });
+  expect(listTrips()).toHaveLength(1);
+});
+
+test('renames, copies and deletes trips', () => {
+  const trip = saveTrip(rome);
+
+  expect(renameTrip(trip.id, '  Autumn in Rome ').name).toBe('Autumn in Rome');
+  expect(renameTrip(trip.id, '   ').name).toBe('Autumn in Rome');
+
+  const copy = duplicateTrip(trip.id);
+  expect(copy).toMatchObject({ name: 'Autumn in Rome (copy)', itinerary: rome.itinerary });
+  expect(copy.id).not.toBe(trip.id);
+
+  deleteTrip(trip.id);
+  expect(listTrips().map((t) => t.id)).toEqual([copy.id]);
+});
+
+test('ignores a corrupt library', () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  window.localStorage.setItem('travel-itinerary:trips', '{not json');
+
+  expect(listTrips()).toEqual([]);
+});
+
+test('reports a full storage with a message for each action', () => {
+  const trip = saveTrip(rome);
+  refuseWrites();
+
+  expect(() => saveTrip(rome)).toThrow('Could not save the trip. Browser storage may be full.');
+  expect(() => renameTrip(trip.id, 'Autumn')).toThrow('Could not rename the trip.');
+  expect(() => duplicateTrip(trip.id)).toThrow('Could not copy the trip.');
+  expect(() => deleteTrip(trip.id)).toThrow('Could not delete the trip.');
+  expect(getTrip(trip.id)).toEqual(trip);
+});
@@ -0,0 +1,6 @@
+// src/setupTimezone.js
+// Jest global setup: runs the suite west of UTC, where a "YYYY-MM-DD" date
+// parsed as UTC midnight lands on the previous local day.
+module.exports = () => {
+    process.env.TZ = "America/New_York";
+};
@@ -0,0 +1,166 @@
+// src/utils/budget.js
+// Itemized cost estimates per day and for the whole trip, built from the
+// prices Gemini quotes (entry fees, restaurants, hotels) plus transport fares
+// for the legs between stops, and the actual spend the traveller logs.
+import { convertAmount, parsePrice } from "./currency";
+import { dayLegs, TRAVEL_MODES } from "./geo";
+
+export const BUDGET_CATEGORIES = {
+    entry: "🎟️ Entry fees",
+    meals: "🍽️ Meals",
+    hotel: "🏨 Hotel",
+    transport: "🚇 Transport",
+};
+
+export const MEALS_PER_DAY = 3;
+
+// Fallbacks in US dollars when no usable price was quoted
+const ASSUMED_USD = { meal: 12, hotelNight: 80 };
+
+// Per-leg fares in US dollars: a transit ticket, or a taxi for driving legs
+const FARES_USD = {
+    walking: { base: 0, perKm: 0 },
+    transit: { base: 1.5, perKm: 0.1 },
+    driving: { base: 3, perKm: 1.2 },
+};
+
+const emptyCategories = () => ({ entry: 0, meals: 0, hotel: 0, transport: 0 });
+
+const sumCategories = (items) =>
+    Object.keys(BUDGET_CATEGORIES).reduce((sum, key) => sum + items[key], 0);
+
+/**
+ * A quoted price in `currency`: the midpoint of a range, 0 for "Free", or
+ * null when it cannot be read or converted.
+ */
+export function priceIn(text, currency, rates) {
+    if (/^\s*free\b/i.test(String(text ?? ""))) return 0;
+    const price = parsePrice(text);
+    if (!price) return null;
+    const mid = price.maxAmount === undefined ? price.amount : (price.amount + price.maxAmount) / 2;
+    return convertAmount(mid, price.currency, currency, rates);
+}
+
+const fromUsd = (amount, currency, rates) => convertAmount(amount, "USD", currency, rates) ?? amount;
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Cheapest quoted hotel near the day's last stop, else anywhere on the day
+const nightlyHotel = (places, currency, rates) => {
+    const priced = (hotels) =>
+        (hotels || []).map((h) => priceIn(h.price, currency, rates)).filter((p) => p !== null && p > 0);
+    const last = priced(places[places.length - 1]?.nearbyHotels);
+    const any = last.length ? last : places.flatMap((p) => priced(p.nearbyHotels));
+    return any.length ? Math.min(...any) : null;
+};
+
+/**
+ * Planned costs for one day in `currency`: { entry, meals, hotel, transport,
+ * total, assumed, overnight }, where `assumed` lists the categories that fell
+ * back to a typical price because nothing usable was quoted. A chosen `hotel`
+ * (see utils/hotels) is priced instead of the hotels near the day's stops, and
+ * planned `meals` (restaurants, see utils/meals) instead of the average meal.
+ * Pass `overnight: false` for a day with no hotel night after it.
+ */
+export function estimateDay(day, { currency, rates, hotel: stay = null, meals = null, overnight = true }) {
+    const places = day?.itinerary || [];
+    const items = emptyCategories();
+    const assumed = [];
+
+    places.forEach((place) => {
+        items.entry += priceIn(place.entryFee, currency, rates) ?? 0;
+    });
+
+    const mealPrices = places
+        .flatMap((place) => place.nearbyFood || [])
+        .map((food) => priceIn(food.price, currency, rates))
+        .filter((p) => p !== null && p > 0);
+    const typicalMeal = mealPrices.length ? average(mealPrices) : fromUsd(ASSUMED_USD.meal, currency, rates);
+    if (meals?.length) {
+        // Unpriced or missing slots cost a typical meal
+        const planned = meals.map((restaurant) => (restaurant ? priceIn(restaurant.price, currency, rates) : null));
+        items.meals =
+            planned.reduce((sum, price) => sum + (price ?? typicalMeal), 0) +
+            typicalMeal * Math.max(0, MEALS_PER_DAY - meals.length);
+        if (!mealPrices.length && planned.some((price) => price === null)) assumed.push("meals");
+    } else {
+        items.meals = typicalMeal * MEALS_PER_DAY;
+        if (!mealPrices.length) assumed.push("meals");
+    }
+
+    const chosen = stay ? priceIn(stay.price, currency, rates) : null;
+    const hotel = chosen ?? nightlyHotel(places, currency, rates);
+    if (!overnight) {
+        items.hotel = 0;
+    } else if (hotel === null) {
+        items.hotel = fromUsd(ASSUMED_USD.hotelNight, currency, rates);
+        assumed.push("hotel");
+    } else {
+        items.hotel = hotel;
+    }
+
+    dayLegs(places).forEach((leg) => {
+        if (!leg) return;
+        const fare = FARES_USD[leg.mode];
+        const km = leg.km * TRAVEL_MODES[leg.mode].detour;
+        items.transport += fromUsd(fare.base + fare.perKm * km, currency, rates);
+    });
+
+    return { ...items, total: sumCategories(items), assumed, overnight };
+}
+
+/**
+ * Planned costs for every day and the trip, checked against `budget`.
+ * Each day gets an equal share of the budget as its `allowance` and is
+ * flagged `over` when its plan exceeds it. `hotels` holds the chosen hotel
+ * per night and `meals` the planned restaurants per day, if any. An N-day
+ * trip has N-1 hotel nights: the last day is the day of departure.
+ */
+export function planTripBudget(itinerary, { budget, currency, rates, hotels = [], meals = [] }) {
+    const allowance = itinerary.length && budget > 0 ? budget / itinerary.length : 0;
+    const days = itinerary.map((day, i) => {
+        const estimate = estimateDay(day, {
+            currency,
+            rates,
+            hotel: hotels[i],
+            meals: meals[i],
+            overnight: i < itinerary.length - 1,
+        });
+        return { ...estimate, allowance, over: allowance > 0 && estimate.total > allowance };
+    });
+
+    const totals = emptyCategories();
+    days.forEach((day) => {
+        Object.keys(totals).forEach((key) => {
+            totals[key] += day[key];
+        });
+    });
+    const total = sumCategories(totals);
+
+    return {
+        days,
+        totals: { ...totals, total },
+        budget,
+        over: budget > 0 && total > budget,
+        overDays: days.map((day, i) => (day.over ? i : -1)).filter((i) => i >= 0),
+    };
+}
+
+/**
+ * Adds up logged expenses ({ day, category, amount }) per day and category.
+ */
+export function summarizeExpenses(expenses = [], dayCount = 0) {
+    const days = Array.from({ length: dayCount }, emptyCategories);
+    const totals = emptyCategories();
+
+    expenses.forEach(({ day, category, amount }) => {
+        if (!BUDGET_CATEGORIES[category] || !Number.isFinite(amount)) return;
+        if (days[day]) days[day][category] += amount;
+        totals[category] += amount;
+    });
+
+    return {
+        days: days.map((items) => ({ ...items, total: sumCategories(items) })),
+        totals: { ...totals, total: sumCategories(totals) },
+    };
+}
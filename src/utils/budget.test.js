@@ -0,0 +1,94 @@
+import { estimateDay, planTripBudget, priceIn, summarizeExpenses } from './budget';
+
+const rates = { base: 'USD', rates: { USD: 1, EUR: 0.5 } };
+
+const day = {
+  title: 'Day 1',
+  itinerary: [
+    {
+      name: 'Museum',
+      entryFee: 'EUR 10',
+      location: { lat: 48.86, lng: 2.337 },
+      nearbyFood: [{ name: 'Bistro', price: 'EUR 10-20 per person' }],
+      nearbyHotels: [{ name: 'Far', price: 'EUR 40/night' }],
+    },
+    {
+      name: 'Park',
+      entryFee: 'Free',
+      location: { lat: 48.8606, lng: 2.3376 },
+      nearbyHotels: [
+        { name: 'Pricey', price: 'EUR 100/night' },
+        { name: 'Cheap', price: 'EUR 60/night' },
+      ],
+    },
+  ],
+};
+
+test('reads quoted prices into the trip currency', () => {
+  expect(priceIn('EUR 10-20', 'USD', rates)).toBe(30);
+  expect(priceIn('Free entry', 'USD', rates)).toBe(0);
+  expect(priceIn('ask at the door', 'USD', rates)).toBeNull();
+});
+
+test('itemizes a day from entry fees, food, hotels and legs', () => {
+  const estimate = estimateDay(day, { currency: 'USD', rates });
+
+  expect(estimate.entry).toBe(20);
+  expect(estimate.meals).toBe(90);
+  // Cheapest hotel near the last stop, not the one by the first
+  expect(estimate.hotel).toBe(120);
+  // A short hop is walked, so it costs nothing
+  expect(estimate.transport).toBe(0);
+  expect(estimate.total).toBe(230);
+  expect(estimate.assumed).toEqual([]);
+});
+
+test('falls back to typical prices and flags days over their share of the budget', () => {
+  const bare = { title: 'Day 2', itinerary: [{ name: 'Square', location: { lat: 48.85, lng: 2.35 } }] };
+  const plan = planTripBudget([day, bare, bare], { budget: 600, currency: 'USD', rates });
+
+  expect(plan.days[1].assumed).toEqual(['meals', 'hotel']);
+  expect(plan.days[0].allowance).toBe(200);
+  expect(plan.overDays).toEqual([0]);
+  expect(plan.totals.total).toBe(230 + (36 + 80) + 36);
+  expect(plan.over).toBe(false);
+});
+
+test('books no hotel night after the last day', () => {
+  const plan = planTripBudget([day, day], { budget: 1000, currency: 'USD', rates });
+
+  expect(plan.days.map((d) => [d.overnight, d.hotel])).toEqual([
+    [true, 120],
+    [false, 0],
+  ]);
+  expect(plan.days[1].assumed).toEqual([]);
+});
+
+test('adds up logged spend per day and category', () => {
+  const actual = summarizeExpenses(
+    [
+      { day: 0, category: 'meals', amount: 25 },
+      { day: 0, category: 'meals', amount: 15 },
+      { day: 1, category: 'transport', amount: 4 },
+      { day: 1, category: 'souvenirs', amount: 99 },
+    ],
+    2
+  );
+
+  expect(actual.days[0]).toMatchObject({ meals: 40, total: 40 });
+  expect(actual.totals).toMatchObject({ meals: 40, transport: 4, total: 44 });
+});
+
+test('prices the chosen hotel instead of the nearby ones', () => {
+  const estimate = estimateDay(day, { currency: 'USD', rates, hotel: { name: 'Base', price: 'EUR 45/night' } });
+
+  expect(estimate.hotel).toBe(90);
+});
+
+test('prices the planned meals, using a typical meal where none is quoted', () => {
+  const meals = [{ name: 'Bistro', price: 'EUR 5' }, { name: 'Unpriced' }, null];
+  const estimate = estimateDay(day, { currency: 'USD', rates, meals });
+
+  // 10 for breakfast, then the day's typical meal (30) twice
+  expect(estimate.meals).toBe(70);
+});
@@ -0,0 +1,132 @@
+// src/utils/currency.js
+// Trip currencies, price parsing and formatting. Rates are "units per USD"
+// tables as returned by services/exchangeRates.
+
+export const DEFAULT_CURRENCY = "USD";
+
+// Currencies offered in the form (the rate table may know more)
+export const CURRENCIES = {
+    USD: "US dollar",
+    EUR: "Euro",
+    GBP: "British pound",
+    INR: "Indian rupee",
+    JPY: "Japanese yen",
+    CNY: "Chinese yuan",
+    AUD: "Australian dollar",
+    CAD: "Canadian dollar",
+    CHF: "Swiss franc",
+    SGD: "Singapore dollar",
+    AED: "UAE dirham",
+    THB: "Thai baht",
+    KRW: "South Korean won",
+    MXN: "Mexican peso",
+    BRL: "Brazilian real",
+    TRY: "Turkish lira",
+    PLN: "Polish złoty",
+    ZAR: "South African rand",
+};
+
+// Symbols Gemini (and older saved trips) use instead of ISO codes. "¥" (JPY,
+// CNY) and a bare "$" (USD, AUD, CAD, SGD, HKD, MXN, TWD…) are ambiguous: they
+// map to null, so such prices stay as quoted instead of converting at a guess.
+const SYMBOLS = {
+    "₹": "INR",
+    "€": "EUR",
+    "£": "GBP",
+    "¥": null,
+    "₩": "KRW",
+    "฿": "THB",
+    "₺": "TRY",
+    "zł": "PLN",
+    "R$": "BRL",
+    "A$": "AUD",
+    "C$": "CAD",
+    "S$": "SGD",
+    "US$": "USD",
+    $: null,
+};
+
+/**
+ * Formats an amount as money, e.g. formatMoney(1200, "EUR") → "€1,200".
+ * Whole units only unless `decimals` is given.
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY, { decimals = 0 } = {}) {
+    if (!Number.isFinite(amount)) return "—";
+    try {
+        return new Intl.NumberFormat("en", {
+            style: "currency",
+            currency,
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals,
+        }).format(amount);
+    } catch {
+        // Unknown code: fall back to "1,200 XYZ"
+        return `${Math.round(amount).toLocaleString("en")} ${currency}`;
+    }
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const SYMBOL_PATTERN = Object.keys(SYMBOLS)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join("|");
+
+// "JPY 12000/night", "₹2,000 - 3,000/night", "15 EUR", "$25"
+const PRICE_PATTERN = new RegExp(
+    `^\\s*(?:([A-Z]{3})\\s*|(${SYMBOL_PATTERN})\\s*)?([\\d.,]+)(?:\\s*[-–]\\s*(?:${SYMBOL_PATTERN})?\\s*([\\d.,]+))?\\s*([A-Z]{3})?\\s*(.*)$`
+);
+
+const toNumber = (text) => Number(text.replace(/,/g, ""));
+
+/**
+ * Reads a price string into { currency, amount, maxAmount?, suffix }, or
+ * null when it has no amount or no recognisable currency (an ambiguous symbol
+ * counts as none unless an ISO code follows, as in "$25 CAD").
+ */
+export function parsePrice(text) {
+    const match = PRICE_PATTERN.exec(String(text ?? ""));
+    if (!match) return null;
+    const [, codeBefore, symbol, low, high, codeAfter, suffix] = match;
+    const currency = codeBefore || (symbol && SYMBOLS[symbol]) || codeAfter;
+    const amount = toNumber(low);
+    if (!currency || !Number.isFinite(amount)) return null;
+
+    const maxAmount = high ? toNumber(high) : undefined;
+    return {
+        currency,
+        amount,
+        ...(Number.isFinite(maxAmount) ? { maxAmount } : {}),
+        suffix: suffix.trim(),
+    };
+}
+
+/**
+ * Converts between currencies with a { base, rates } table; returns null when
+ * either currency is missing from it.
+ */
+export function convertAmount(amount, from, to, table) {
+    if (from === to) return amount;
+    const fromRate = from === table?.base ? 1 : table?.rates?.[from];
+    const toRate = to === table?.base ? 1 : table?.rates?.[to];
+    if (!fromRate || !toRate) return null;
+    return (amount / fromRate) * toRate;
+}
+
+/**
+ * Shows a price string in `currency`, e.g. "JPY 12000/night" → "$81/night".
+ * Strings that cannot be read or converted are returned unchanged.
+ */
+export function formatPrice(text, currency, table) {
+    const price = parsePrice(text);
+    if (!price) return text || "";
+
+    const amount = convertAmount(price.amount, price.currency, currency, table);
+    const maxAmount = price.maxAmount === undefined ? undefined : convertAmount(price.maxAmount, price.currency, currency, table);
+    if (amount === null || maxAmount === null) return text;
+
+    const range = maxAmount === undefined
+        ? formatMoney(amount, currency)
+        : `${formatMoney(amount, currency)}–${formatMoney(maxAmount, currency)}`;
+    return price.suffix ? `${range}${price.suffix.startsWith("/") ? "" : " "}${price.suffix}` : range;
+}
@@ -0,0 +1,41 @@
+import { convertAmount, formatMoney, formatPrice, parsePrice } from './currency';
+
+const table = { base: 'USD', rates: { USD: 1, EUR: 0.9, INR: 80, JPY: 150 } };
+
+test('formats money in the trip currency', () => {
+  expect(formatMoney(1200, 'USD')).toBe('$1,200');
+  expect(formatMoney(1200, 'EUR')).toBe('€1,200');
+  expect(formatMoney(12.5, 'GBP', { decimals: 2 })).toBe('£12.50');
+  expect(formatMoney(NaN, 'USD')).toBe('—');
+});
+
+test('reads ISO codes, symbols and ranges out of price strings', () => {
+  expect(parsePrice('JPY 12000/night')).toEqual({ currency: 'JPY', amount: 12000, suffix: '/night' });
+  expect(parsePrice('₹2,000/night')).toEqual({ currency: 'INR', amount: 2000, suffix: '/night' });
+  expect(parsePrice('€15-25 per person')).toEqual({ currency: 'EUR', amount: 15, maxAmount: 25, suffix: 'per person' });
+  expect(parsePrice('30 EUR')).toEqual({ currency: 'EUR', amount: 30, suffix: '' });
+  expect(parsePrice('Free')).toBeNull();
+  expect(parsePrice('1500/night')).toBeNull();
+});
+
+test('does not guess the currency behind an ambiguous symbol', () => {
+  expect(parsePrice('¥1500')).toBeNull();
+  expect(parsePrice('$25 per person')).toBeNull();
+  expect(parsePrice('US$25')).toEqual({ currency: 'USD', amount: 25, suffix: '' });
+  expect(parsePrice('$25 CAD')).toEqual({ currency: 'CAD', amount: 25, suffix: '' });
+  expect(formatPrice('¥1500/night', 'USD', table)).toBe('¥1500/night');
+  expect(formatPrice('$40', 'EUR', table)).toBe('$40');
+});
+
+test('converts through the base currency', () => {
+  expect(convertAmount(150, 'JPY', 'USD', table)).toBeCloseTo(1);
+  expect(convertAmount(80, 'INR', 'EUR', table)).toBeCloseTo(0.9);
+  expect(convertAmount(10, 'XYZ', 'USD', table)).toBeNull();
+});
+
+test('shows prices in the trip currency and leaves unknown ones alone', () => {
+  expect(formatPrice('JPY 15000/night', 'USD', table)).toBe('$100/night');
+  expect(formatPrice('₹1600 - 2400', 'USD', table)).toBe('$20–$30');
+  expect(formatPrice('Free entry', 'USD', table)).toBe('Free entry');
+  expect(formatPrice('XYZ 10', 'USD', table)).toBe('XYZ 10');
+});
@@ -0,0 +1,8 @@
+// src/utils/dayColors.js
+// Colour per day, shared by the map markers and every export.
+
+export const DAY_COLORS = ["#ff6b35", "#4ecdc4", "#45b7d1", "#96ceb4", "#feca57"];
+
+export function dayColor(dayIndex) {
+    return DAY_COLORS[dayIndex % DAY_COLORS.length];
+}
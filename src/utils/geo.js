@@ -0,0 +1,127 @@
+// src/utils/geo.js
+// Great-circle distance helpers. Points are { lat, lng } in degrees.
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+export const hasCoords = (point) => Number.isFinite(point?.lat) && Number.isFinite(point?.lng);
+
+/**
+ * Haversine distance between two points, in kilometres.
+ */
+export function haversineKm(a, b) {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Length of the path through `points` in order, in kilometres.
+ */
+export function pathDistanceKm(points) {
+    let total = 0;
+    for (let i = 1; i < points.length; i++) {
+        total += haversineKm(points[i - 1], points[i]);
+    }
+    return total;
+}
+
+/**
+ * "850 m" below one kilometre, "3.4 km" above.
+ */
+export function formatDistance(km) {
+    if (km < 1) return `${Math.round(km * 1000)} m`;
+    return `${km.toFixed(km < 10 ? 1 : 0)} km`;
+}
+
+// Straight lines undercount real streets, so travel times apply a detour factor
+// to the haversine distance. Speeds are city averages including stops.
+export const TRAVEL_MODES = {
+    walking: { label: "Walk", icon: "🚶", speedKmh: 4.5, detour: 1.3, overheadMinutes: 0 },
+    transit: { label: "Transit", icon: "🚇", speedKmh: 18, detour: 1.4, overheadMinutes: 8 },
+    driving: { label: "Drive", icon: "🚗", speedKmh: 25, detour: 1.4, overheadMinutes: 5 },
+};
+
+// Beyond these straight-line distances the next mode up is the sensible choice
+const WALKING_LIMIT_KM = 1.5;
+const TRANSIT_LIMIT_KM = 12;
+
+/**
+ * Estimated door-to-door minutes for a straight-line distance by `mode`.
+ */
+export function travelMinutes(km, mode) {
+    const { speedKmh, detour, overheadMinutes } = TRAVEL_MODES[mode];
+    if (km <= 0) return 0;
+    return Math.round(overheadMinutes + ((km * detour) / speedKmh) * 60);
+}
+
+export function suggestMode(km) {
+    if (km <= WALKING_LIMIT_KM) return "walking";
+    if (km <= TRANSIT_LIMIT_KM) return "transit";
+    return "driving";
+}
+
+/**
+ * Legs between consecutive stops of a day. Entry i describes the trip into
+ * places[i] ({ km, mode, minutes, byMode }) and is null for the first stop
+ * or a stop without coordinates.
+ */
+export function dayLegs(places = []) {
+    let previous = null;
+    return places.map((place) => {
+        const location = place?.location;
+        if (!hasCoords(location)) return null;
+
+        const from = previous;
+        previous = location;
+        if (!from) return null;
+
+        const km = haversineKm(from, location);
+        const mode = suggestMode(km);
+        const byMode = {};
+        Object.keys(TRAVEL_MODES).forEach((key) => {
+            byMode[key] = travelMinutes(km, key);
+        });
+        return { km, mode, minutes: byMode[mode], byMode };
+    });
+}
+
+/**
+ * Per-day totals: { km, travelMinutes, legs } using each leg's suggested mode.
+ */
+export function dayTotals(places = []) {
+    const totals = { km: 0, travelMinutes: 0, legs: dayLegs(places) };
+    totals.legs.forEach((leg) => {
+        if (!leg) return;
+        totals.km += leg.km;
+        totals.travelMinutes += leg.minutes;
+    });
+    return totals;
+}
+
+/**
+ * Whole-trip totals: { km, travelMinutes, days: [dayTotals per day] }.
+ */
+export function tripTotals(itinerary = []) {
+    const days = itinerary.map((day) => dayTotals(day?.itinerary || []));
+    return {
+        km: days.reduce((sum, day) => sum + day.km, 0),
+        travelMinutes: days.reduce((sum, day) => sum + day.travelMinutes, 0),
+        days,
+    };
+}
+
+/**
+ * "45 min", "2 h", "1 h 20 min".
+ */
+export function formatMinutes(minutes) {
+    const total = Math.round(minutes);
+    if (total < 60) return `${total} min`;
+    const hours = Math.floor(total / 60);
+    const rest = total % 60;
+    return rest ? `${hours} h ${rest} min` : `${hours} h`;
+}
@@ -0,0 +1,44 @@
+import { dayLegs, dayTotals, tripTotals, travelMinutes, suggestMode, formatMinutes, formatDistance } from './geo';
+
+const stop = (name, lat, lng) => ({ name, location: { lat, lng } });
+
+// Roughly 1 km, then 5 km, apart
+const places = [stop('A', 52.52, 13.4), stop('B', 52.529, 13.4), stop('C', 52.574, 13.4)];
+
+test('computes legs into each stop with a suggested mode', () => {
+  const legs = dayLegs(places);
+
+  expect(legs[0]).toBeNull();
+  expect(legs[1].km).toBeCloseTo(1.0, 1);
+  expect(legs[1].mode).toBe('walking');
+  expect(legs[2].km).toBeCloseTo(5.0, 1);
+  expect(legs[2].mode).toBe('transit');
+  expect(legs[2].minutes).toBe(legs[2].byMode.transit);
+});
+
+test('skips stops without coordinates', () => {
+  const legs = dayLegs([places[0], { name: 'Somewhere' }, places[1]]);
+  expect(legs[1]).toBeNull();
+  expect(legs[2].km).toBeCloseTo(1.0, 1);
+});
+
+test('sums day and trip totals', () => {
+  const day = dayTotals(places);
+  const trip = tripTotals([{ itinerary: places }, { itinerary: places.slice(0, 2) }]);
+
+  expect(day.km).toBeCloseTo(6.0, 1);
+  expect(day.travelMinutes).toBe(travelMinutes(day.legs[1].km, 'walking') + travelMinutes(day.legs[2].km, 'transit'));
+  expect(trip.km).toBeCloseTo(7.0, 1);
+  expect(trip.days).toHaveLength(2);
+});
+
+test('estimates and formats travel times', () => {
+  expect(travelMinutes(0, 'driving')).toBe(0);
+  expect(travelMinutes(4.5, 'walking')).toBe(78);
+  expect(suggestMode(30)).toBe('driving');
+  expect(formatMinutes(45)).toBe('45 min');
+  expect(formatMinutes(120)).toBe('2 h');
+  expect(formatMinutes(80)).toBe('1 h 20 min');
+  expect(formatDistance(0.85)).toBe('850 m');
+  expect(formatDistance(3.44)).toBe('3.4 km');
+});
@@ -0,0 +1,119 @@
+// src/utils/hotels.js
+// Where the traveller sleeps. A trip's `stays` hold one optional base hotel
+// and per-night overrides keyed by day index: { base, nights: { [day]: hotel } }.
+// A stay is a nearbyHotels entry plus a location; hotels quoted without
+// coordinates borrow the location of the stop they were listed under.
+import { hasCoords, haversineKm } from "./geo";
+
+export const EMPTY_STAYS = { base: null, nights: {} };
+
+const isOptionalText = (value) => value === undefined || typeof value === "string";
+
+const isStay = (hotel) =>
+    typeof hotel?.name === "string" &&
+    hotel.name.trim() !== "" &&
+    hasCoords(hotel.location) &&
+    isOptionalText(hotel.rating) &&
+    isOptionalText(hotel.price) &&
+    isOptionalText(hotel.description);
+
+/**
+ * `stays` in the { base, nights } shape. Stays that are not a named, located
+ * hotel and nights not keyed by a day index are dropped.
+ */
+export function normalizeStays(stays) {
+    const nights = stays?.nights && typeof stays.nights === "object" ? stays.nights : {};
+    return {
+        base: isStay(stays?.base) ? stays.base : null,
+        nights: Object.fromEntries(
+            Object.entries(nights).filter(([dayIndex, hotel]) => /^\d+$/.test(dayIndex) && isStay(hotel))
+        ),
+    };
+}
+
+/**
+ * The hotel for the night after `dayIndex`: its own pick, else the base.
+ */
+export function hotelForNight(stays, dayIndex) {
+    return stays?.nights?.[dayIndex] || stays?.base || null;
+}
+
+export function nightlyHotels(stays, dayCount) {
+    return Array.from({ length: dayCount }, (_, i) => hotelForNight(stays, i));
+}
+
+/**
+ * Picks `hotel` for one night, or as the base when `dayIndex` is null.
+ * Passing a null hotel clears that choice.
+ */
+export function setStay(stays, dayIndex, hotel) {
+    const next = normalizeStays(stays);
+    if (dayIndex === null) {
+        next.base = hotel;
+    } else if (hotel) {
+        next.nights[dayIndex] = hotel;
+    } else {
+        delete next.nights[dayIndex];
+    }
+    return next;
+}
+
+/**
+ * A nearbyHotels entry as a stay, located at `place` when it has no coordinates.
+ */
+export function toStay(hotel, place) {
+    const located = hasCoords(hotel.location);
+    return {
+        name: hotel.name,
+        rating: hotel.rating,
+        price: hotel.price,
+        description: hotel.description,
+        location: located ? hotel.location : { lat: place.location.lat, lng: place.location.lng },
+        ...(located ? {} : { approximate: true }),
+    };
+}
+
+const mappedStops = (day) => (day?.itinerary || []).map((p) => p.location).filter(hasCoords);
+
+/**
+ * Kilometres travelled between `hotel` and each day's first and last stop.
+ */
+export function hotelTravelKm(hotel, days) {
+    if (!hasCoords(hotel?.location)) return Infinity;
+    return days.reduce((sum, day) => {
+        const stops = mappedStops(day);
+        if (!stops.length) return sum;
+        return sum + haversineKm(hotel.location, stops[0]) + haversineKm(stops[stops.length - 1], hotel.location);
+    }, 0);
+}
+
+/**
+ * Every hotel quoted on the given days, once each, closest to those days first.
+ * Each candidate carries its `travelKm` (see hotelTravelKm).
+ */
+export function hotelCandidates(itinerary, dayIndexes) {
+    const days = dayIndexes.map((i) => itinerary[i]).filter(Boolean);
+    const byName = new Map();
+
+    days.forEach((day) => {
+        (day.itinerary || []).forEach((place) => {
+            if (!hasCoords(place.location)) return;
+            (place.nearbyHotels || []).forEach((hotel) => {
+                if (!byName.has(hotel.name)) byName.set(hotel.name, toStay(hotel, place));
+            });
+        });
+    });
+
+    return [...byName.values()]
+        .map((stay) => ({ ...stay, travelKm: hotelTravelKm(stay, days) }))
+        .sort((a, b) => a.travelKm - b.travelKm);
+}
+
+/**
+ * The day with `hotel` as its first and last stop, for drawing the route.
+ */
+export function withHotel(day, hotel) {
+    if (!hasCoords(hotel?.location) || !day?.itinerary?.length) return day;
+    const stop = { name: hotel.name, location: hotel.location };
+    return { ...day, itinerary: [stop, ...day.itinerary, stop] };
+}
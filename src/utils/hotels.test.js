@@ -0,0 +1,65 @@
+import {
+  hotelCandidates,
+  hotelForNight,
+  nightlyHotels,
+  normalizeStays,
+  setStay,
+  withHotel,
+  EMPTY_STAYS,
+} from './hotels';
+
+const base = { name: 'Base Inn', price: 'EUR 90/night', location: { lat: 41.89, lng: 12.49 } };
+const treat = { name: 'Palazzo', price: 'EUR 300/night', location: { lat: 41.9, lng: 12.48 } };
+
+test('a night uses its own pick, else the base hotel', () => {
+  let stays = setStay(EMPTY_STAYS, null, base);
+  stays = setStay(stays, 1, treat);
+
+  expect(nightlyHotels(stays, 3).map((h) => h.name)).toEqual(['Base Inn', 'Palazzo', 'Base Inn']);
+  expect(hotelForNight(setStay(stays, 1, null), 1)).toBe(base);
+  expect(EMPTY_STAYS.base).toBeNull();
+});
+
+test('drops malformed stays', () => {
+  const stays = normalizeStays({
+    base: { name: 'No Coords', price: 'EUR 80/night' },
+    nights: { 0: treat, 1: { ...base, price: 90 }, x: base, 2: 'Base Inn' },
+  });
+
+  expect(stays).toEqual({ base: null, nights: { 0: treat } });
+  expect(normalizeStays('base')).toEqual(EMPTY_STAYS);
+});
+
+test('ranks quoted hotels by travel to the days they serve', () => {
+  const itinerary = [
+    {
+      title: 'Day 1',
+      itinerary: [
+        {
+          name: 'Colosseum',
+          location: { lat: 41.8902, lng: 12.4922 },
+          nearbyHotels: [{ name: 'Far Away', price: 'EUR 50/night', location: { lat: 41.95, lng: 12.6 } }],
+        },
+        {
+          name: 'Forum',
+          location: { lat: 41.8925, lng: 12.4853 },
+          nearbyHotels: [{ name: 'Forum Rooms', price: 'EUR 120/night' }],
+        },
+      ],
+    },
+  ];
+
+  const [best, worst] = hotelCandidates(itinerary, [0]);
+
+  expect(best.name).toBe('Forum Rooms');
+  expect(best.approximate).toBe(true);
+  expect(best.location).toEqual({ lat: 41.8925, lng: 12.4853 });
+  expect(worst.travelKm).toBeGreaterThan(best.travelKm);
+});
+
+test('routes a day out from the hotel and back', () => {
+  const day = { title: 'Day 1', itinerary: [{ name: 'A', location: { lat: 41.9, lng: 12.5 } }] };
+
+  expect(withHotel(day, base).itinerary.map((p) => p.name)).toEqual(['Base Inn', 'A', 'Base Inn']);
+  expect(withHotel(day, null)).toBe(day);
+});
@@ -0,0 +1,123 @@
+// src/utils/ics.js
+// RFC 5545 calendar export: one VEVENT per scheduled stop.
+import { fileSlug } from "./download";
+
+const CRLF = "\r\n";
+
+// UTF-8 length of a single code point
+const octetLength = (char) => {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    if (code < 0x10000) return 3;
+    return 4;
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Floating local time (no "Z"), so events land at the same wall-clock time
+// wherever the calendar app runs: 9:00 in the destination stays 9:00.
+const formatLocal = (date) =>
+    `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+
+// FNV-1a: a short, stable fingerprint for event UIDs
+const hashText = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+};
+
+// A stop is identified by its name and position, so its UID survives new
+// dates, start times and reordering; repeats of the same stop get "-2", "-3"…
+const stopKey = (place, seen) => {
+    const { lat, lng } = place.location || {};
+    const coords = Number.isFinite(lat) && Number.isFinite(lng) ? `${lat.toFixed(4)},${lng.toFixed(4)}` : "";
+    const key = hashText(`${place.name}|${coords}`);
+    const count = (seen.get(key) || 0) + 1;
+    seen.set(key, count);
+    return count > 1 ? `${key}-${count}` : key;
+};
+
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Escapes TEXT values (RFC 5545 §3.3.11).
+ */
+export function escapeText(value) {
+    return String(value ?? "")
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds a content line so no physical line exceeds 75 octets (RFC 5545 §3.1),
+ * without splitting a multi-byte UTF-8 character.
+ */
+export function foldLine(line) {
+    const parts = [];
+    let current = "";
+    let octets = 0;
+
+    for (const char of line) {
+        const size = octetLength(char);
+        // continuation lines start with a space, which counts towards the limit
+        const limit = parts.length ? 74 : 75;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = "";
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join(`${CRLF} `);
+}
+
+/**
+ * Builds the .ics text for a schedule produced by scheduleTrip(). `tripId`
+ * keeps UIDs apart between trips, so re-importing updates events in place.
+ */
+export function buildIcs({ city, tripId, schedule, now = new Date() }) {
+    const stamp = formatUtc(now);
+    const seen = new Map();
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//AI Travel Itinerary//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeText(`${city} trip`)}`,
+    ];
+
+    schedule.forEach(({ day, stops }, dayIndex) => {
+        stops.forEach(({ place, start, end }) => {
+            const { lat, lng, label } = place.location || {};
+            const description = [`Day ${dayIndex + 1}: ${day.title}`, place.description].filter(Boolean).join("\n\n");
+
+            lines.push(
+                "BEGIN:VEVENT",
+                `UID:${stopKey(place, seen)}-${tripId || fileSlug(city)}@travel-itinerary`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${formatLocal(start)}`,
+                `DTEND:${formatLocal(end)}`,
+                `SUMMARY:${escapeText(place.name)}`,
+                `DESCRIPTION:${escapeText(description)}`,
+                `LOCATION:${escapeText([label || place.name, day.city || city].join(", "))}`
+            );
+            if (Number.isFinite(lat) && Number.isFinite(lng)) {
+                lines.push(`GEO:${lat.toFixed(6)};${lng.toFixed(6)}`);
+            }
+            lines.push("END:VEVENT");
+        });
+    });
+
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join(CRLF) + CRLF;
+}
@@ -0,0 +1,61 @@
+import { buildIcs, escapeText, foldLine } from './ics';
+import { scheduleTrip } from './scheduler';
+
+const itinerary = [
+  {
+    title: 'Day 1: Old Delhi',
+    itinerary: [
+      { name: 'Red Fort', description: 'Fort; built 1639, huge', location: { lat: 28.6562, lng: 77.241, label: 'Red Fort' } },
+      { name: 'Jama Masjid', description: 'Mosque', location: { lat: 28.6507, lng: 77.2334 } },
+    ],
+  },
+  { title: 'Day 2: New Delhi', itinerary: [{ name: 'India Gate', description: '', location: { lat: 28.6129, lng: 77.2295 } }] },
+];
+
+test('schedules stops on consecutive days', () => {
+  const schedule = scheduleTrip(itinerary, '2026-11-01');
+  const [first, second] = schedule[0].stops;
+
+  expect(first.start.getHours()).toBe(9);
+  expect(first.end.getHours()).toBe(11);
+  expect(second.start.getHours()).toBe(11);
+  expect(second.start.getMinutes()).toBe(20);
+  expect(schedule[1].date.getDate()).toBe(2);
+});
+
+test('emits one event per stop with times and coordinates', () => {
+  const ics = buildIcs({
+    city: 'Delhi',
+    schedule: scheduleTrip(itinerary, '2026-11-01'),
+    now: new Date(Date.UTC(2026, 9, 18, 12, 0, 0)),
+  });
+
+  expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+  expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+  expect(ics).toContain('DTSTART:20261101T090000\r\nDTEND:20261101T110000');
+  expect(ics).toContain('DTSTAMP:20261018T120000Z');
+  expect(ics).toContain('GEO:28.656200;77.241000');
+  expect(ics).toContain('SUMMARY:Red Fort');
+});
+
+test('keeps event UIDs stable across dates and reordering, but apart between trips', () => {
+  const uids = (ics) => ics.match(/^UID:.*$/gm).sort();
+  const build = (days, startDate, tripId) => buildIcs({ city: 'Delhi', tripId, schedule: scheduleTrip(days, startDate) });
+  const reordered = [{ ...itinerary[0], itinerary: [...itinerary[0].itinerary].reverse() }, itinerary[1]];
+
+  const original = uids(build(itinerary, '2026-11-01', 'trip-a'));
+  expect(new Set(original).size).toBe(3);
+  expect(uids(build(reordered, '2026-12-24', 'trip-a'))).toEqual(original);
+  expect(uids(build(itinerary, '2026-11-01', 'trip-b'))).not.toEqual(original);
+});
+
+test('escapes text and folds long lines at 75 octets', () => {
+  expect(escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+
+  const folded = foldLine(`DESCRIPTION:${'₹'.repeat(40)}`);
+  folded.split('\r\n').forEach((line) => {
+    expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+  });
+  expect(folded.replace(/\r\n /g, '')).toBe(`DESCRIPTION:${'₹'.repeat(40)}`);
+});
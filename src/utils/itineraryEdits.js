@@ -0,0 +1,67 @@
+// src/utils/itineraryEdits.js
+// Immutable edit operations over the itinerary (array of { title, itinerary }).
+// Every helper returns a new array and leaves the input untouched. A day always
+// keeps at least one stop: moves and deletes that would empty it return the
+// input unchanged.
+
+/**
+ * Whether a stop can leave this day without emptying it.
+ */
+export function canTakeFromDay(itins, dayIndex) {
+    return (itins[dayIndex]?.itinerary?.length || 0) > 1;
+}
+
+const updateDay = (itins, dayIndex, update) =>
+    itins.map((day, i) => (i === dayIndex ? { ...day, itinerary: update(day.itinerary || []) } : day));
+
+/**
+ * Moves a stop within one day from index `from` to index `to`.
+ */
+export function reorderPlace(itins, dayIndex, from, to) {
+    if (from === to) return itins;
+    return updateDay(itins, dayIndex, (places) => {
+        const next = [...places];
+        const [moved] = next.splice(from, 1);
+        next.splice(Math.max(0, Math.min(to, next.length)), 0, moved);
+        return next;
+    });
+}
+
+/**
+ * Moves a stop to another day. Without `toIndex` it is appended to the end.
+ */
+export function movePlace(itins, fromDay, placeIndex, toDay, toIndex) {
+    if (fromDay === toDay) {
+        const last = (itins[fromDay]?.itinerary?.length || 1) - 1;
+        return reorderPlace(itins, fromDay, placeIndex, toIndex === undefined ? last : toIndex);
+    }
+
+    const place = itins[fromDay]?.itinerary?.[placeIndex];
+    if (!place || !canTakeFromDay(itins, fromDay)) return itins;
+
+    const removed = removePlace(itins, fromDay, placeIndex);
+    return updateDay(removed, toDay, (places) => {
+        const next = [...places];
+        const at = toIndex === undefined ? next.length : Math.max(0, Math.min(toIndex, next.length));
+        next.splice(at, 0, place);
+        return next;
+    });
+}
+
+export function removePlace(itins, dayIndex, placeIndex) {
+    if (!canTakeFromDay(itins, dayIndex)) return itins;
+    return updateDay(itins, dayIndex, (places) => places.filter((_, i) => i !== placeIndex));
+}
+
+/**
+ * Adds a user-defined stop to the end of a day.
+ */
+export function addPlace(itins, dayIndex, { name, description, lat, lng }) {
+    const place = {
+        name,
+        description: description || "",
+        location: { lat, lng, label: name },
+        custom: true,
+    };
+    return updateDay(itins, dayIndex, (places) => [...places, place]);
+}
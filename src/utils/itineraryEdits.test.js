@@ -0,0 +1,36 @@
+import { reorderPlace, movePlace, removePlace, addPlace, canTakeFromDay } from './itineraryEdits';
+
+const place = (name) => ({ name, description: '', location: { lat: 0, lng: 0 } });
+const names = (itins) => itins.map((day) => day.itinerary.map((p) => p.name));
+
+const sample = () => [
+  { title: 'Day 1', itinerary: [place('a'), place('b'), place('c')] },
+  { title: 'Day 2', itinerary: [place('d')] },
+];
+
+test('reorders stops within a day without mutating the input', () => {
+  const itins = sample();
+  expect(names(reorderPlace(itins, 0, 0, 2))).toEqual([['b', 'c', 'a'], ['d']]);
+  expect(names(itins)).toEqual([['a', 'b', 'c'], ['d']]);
+});
+
+test('moves a stop to another day', () => {
+  expect(names(movePlace(sample(), 0, 1, 1))).toEqual([['a', 'c'], ['d', 'b']]);
+  expect(names(movePlace(sample(), 0, 2, 1, 0))).toEqual([['a', 'b'], ['c', 'd']]);
+});
+
+test('never empties a day', () => {
+  const itins = sample();
+
+  expect(canTakeFromDay(itins, 0)).toBe(true);
+  expect(canTakeFromDay(itins, 1)).toBe(false);
+  expect(movePlace(itins, 1, 0, 0, 0)).toBe(itins);
+  expect(removePlace(itins, 1, 0)).toBe(itins);
+});
+
+test('removes and adds stops', () => {
+  const removed = removePlace(sample(), 0, 1);
+  const added = addPlace(removed, 1, { name: 'e', lat: 1, lng: 2 });
+  expect(names(added)).toEqual([['a', 'c'], ['d', 'e']]);
+  expect(added[1].itinerary[1].location).toEqual({ lat: 1, lng: 2, label: 'e' });
+});
@@ -0,0 +1,148 @@
+// src/utils/meals.js
+// Breakfast, lunch and dinner for every day, picked from the nearbyFood of the
+// stops the traveller is at around that time. Picks respect dietary needs,
+// avoid eating at the same place twice in a trip, and can be pinned to an
+// alternative: `pins` is { [dayIndex]: { [slot]: restaurantName } }.
+import { normalizePreferences } from "./preferences";
+
+export const MEAL_SLOTS = {
+    breakfast: "🥐 Breakfast",
+    lunch: "🥗 Lunch",
+    dinner: "🍷 Dinner",
+};
+
+// What a restaurant's name or description must mention to count as suitable
+const DIETARY_PATTERNS = {
+    vegetarian: /vegetarian|vegan|veggie|plant[- ]based/i,
+    vegan: /vegan|plant[- ]based/i,
+    halal: /halal/i,
+    kosher: /kosher/i,
+    glutenFree: /gluten[- ]free|coeliac|celiac/i,
+};
+
+export const EMPTY_MEAL_PINS = {};
+
+const isSlot = (slot) => Object.prototype.hasOwnProperty.call(MEAL_SLOTS, slot);
+
+/**
+ * `pins` in the { [dayIndex]: { [slot]: restaurantName } } shape. Pins to an
+ * unknown slot or without a restaurant name, and days not keyed by a day
+ * index, are dropped.
+ */
+export function normalizeMealPins(pins) {
+    const days = pins && typeof pins === "object" && !Array.isArray(pins) ? Object.entries(pins) : [];
+    return Object.fromEntries(
+        days
+            .filter(([dayIndex, day]) => /^\d+$/.test(dayIndex) && day && typeof day === "object")
+            .map(([dayIndex, day]) => [
+                dayIndex,
+                Object.fromEntries(
+                    Object.entries(day).filter(([slot, name]) => isSlot(slot) && typeof name === "string" && name !== "")
+                ),
+            ])
+            .filter(([, day]) => Object.keys(day).length)
+    );
+}
+
+/**
+ * Whether a restaurant advertises every dietary need in `dietary`.
+ */
+export function meetsDietary(restaurant, dietary = []) {
+    const text = `${restaurant.name} ${restaurant.description || ""}`;
+    return dietary.every((need) => !DIETARY_PATTERNS[need] || DIETARY_PATTERNS[need].test(text));
+}
+
+// Indexes of the stops the traveller is at for each meal, nearest first
+const slotStops = (count) => {
+    const last = count - 1;
+    const middle = Math.floor(last / 2);
+    return {
+        breakfast: [0, 1],
+        lunch: [middle, middle + 1, middle - 1],
+        dinner: [last, last - 1],
+    };
+};
+
+const ratingOf = (restaurant) => parseFloat(restaurant.rating) || 0;
+
+/**
+ * Restaurants for one meal of a day, best first: food near the stops active at
+ * that time, suitable ones before the rest, then by rating. Each candidate is
+ * { restaurant, placeIndex, placeName, suitable }.
+ */
+export function mealCandidates(day, slot, dietary = []) {
+    const places = day?.itinerary || [];
+    if (!places.length) return [];
+
+    const seen = new Set();
+    const candidates = [];
+    [...new Set(slotStops(places.length)[slot])]
+        .filter((i) => i >= 0 && i < places.length)
+        .forEach((placeIndex, distanceRank) => {
+            (places[placeIndex].nearbyFood || []).forEach((restaurant) => {
+                if (seen.has(restaurant.name)) return;
+                seen.add(restaurant.name);
+                candidates.push({
+                    restaurant,
+                    placeIndex,
+                    placeName: places[placeIndex].name,
+                    suitable: meetsDietary(restaurant, dietary),
+                    distanceRank,
+                });
+            });
+        });
+
+    return candidates
+        .sort(
+            (a, b) =>
+                Number(b.suitable) - Number(a.suitable) ||
+                a.distanceRank - b.distanceRank ||
+                ratingOf(b.restaurant) - ratingOf(a.restaurant)
+        )
+        .map(({ distanceRank, ...candidate }) => candidate);
+}
+
+/**
+ * Meal plan for the whole trip: per day, { breakfast, lunch, dinner } where
+ * each slot is a candidate (see mealCandidates) plus `pinned` and `repeat`,
+ * or null when no food is known near that day's stops.
+ */
+export function planMeals(itinerary, { preferences, pins = EMPTY_MEAL_PINS } = {}) {
+    const { dietary } = normalizePreferences(preferences);
+    const used = new Set();
+
+    return itinerary.map((day, dayIndex) => {
+        const meals = {};
+        Object.keys(MEAL_SLOTS).forEach((slot) => {
+            const candidates = mealCandidates(day, slot, dietary);
+            const pinnedName = pins[dayIndex]?.[slot];
+            const pinned = candidates.find((c) => c.restaurant.name === pinnedName);
+            // Dietary needs come first: repeat a suitable place rather than pick an unsuitable one
+            const pick =
+                pinned ||
+                candidates.find((c) => c.suitable && !used.has(c.restaurant.name)) ||
+                candidates.find((c) => c.suitable) ||
+                candidates.find((c) => !used.has(c.restaurant.name)) ||
+                candidates[0];
+
+            meals[slot] = pick
+                ? { ...pick, pinned: !!pinned, repeat: used.has(pick.restaurant.name) }
+                : null;
+            if (pick) used.add(pick.restaurant.name);
+        });
+        return meals;
+    });
+}
+
+/**
+ * Pins `restaurantName` to one meal, or clears the pin when it is null.
+ */
+export function pinMeal(pins, dayIndex, slot, restaurantName) {
+    const day = { ...(pins?.[dayIndex] || {}) };
+    if (restaurantName) day[slot] = restaurantName;
+    else delete day[slot];
+
+    const next = { ...(pins || {}), [dayIndex]: day };
+    if (!Object.keys(day).length) delete next[dayIndex];
+    return next;
+}
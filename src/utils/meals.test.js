@@ -0,0 +1,57 @@
+import { mealCandidates, meetsDietary, normalizeMealPins, pinMeal, planMeals } from './meals';
+
+const food = (name, rating, description = 'Local dishes') => ({ name, rating, distance: '200m away', description });
+
+const day = (prefix) => ({
+  title: `${prefix} day`,
+  itinerary: [
+    { name: `${prefix} museum`, location: { lat: 0, lng: 0 }, nearbyFood: [food(`${prefix} Café`, '4.2/5'), food('Chain Diner', '4.9/5')] },
+    { name: `${prefix} park`, location: { lat: 0, lng: 0 }, nearbyFood: [food(`${prefix} Green Bowl`, '4.1/5', 'Vegan and vegetarian plates')] },
+    { name: `${prefix} tower`, location: { lat: 0, lng: 0 }, nearbyFood: [food(`${prefix} Grill`, '4.6/5')] },
+  ],
+});
+
+test('matches dietary needs against the name and description', () => {
+  expect(meetsDietary(food('Green Bowl', '4/5', 'Fully vegan menu'), ['vegan', 'vegetarian'])).toBe(true);
+  expect(meetsDietary(food('Grill', '4/5'), ['vegetarian'])).toBe(false);
+  expect(meetsDietary(food('Grill', '4/5'), [])).toBe(true);
+});
+
+test('picks food near the stops of each meal and never repeats a restaurant', () => {
+  const [first, second] = planMeals([day('A'), day('B')]);
+
+  expect(first.breakfast.restaurant.name).toBe('Chain Diner');
+  expect(first.lunch.placeName).toBe('A park');
+  expect(first.dinner.restaurant.name).toBe('A Grill');
+  // Chain Diner was already breakfast on day 1
+  expect(second.breakfast.restaurant.name).toBe('B Café');
+  expect([first, second].flatMap((d) => Object.values(d)).some((meal) => meal.repeat)).toBe(false);
+});
+
+test('puts suitable restaurants first for dietary preferences', () => {
+  const [candidate] = mealCandidates(day('A'), 'lunch', ['vegan']);
+  expect(candidate.restaurant.name).toBe('A Green Bowl');
+
+  // The only vegan place is reused rather than falling back to an unsuitable one
+  const [plan] = planMeals([day('A')], { preferences: { dietary: ['vegan'] } });
+  expect(plan.lunch).toMatchObject({ suitable: true, repeat: true });
+  expect(plan.dinner.restaurant.name).toBe('A Green Bowl');
+  // A malformed preference is ignored rather than crashing the plan
+  expect(planMeals([day('A')], { preferences: { dietary: 'vegan' } })[0].dinner.restaurant.name).toBe('A Grill');
+});
+
+test('honours pinned swaps and drops pins that no longer apply', () => {
+  const pins = pinMeal({}, 0, 'dinner', 'A Green Bowl');
+  const [plan] = planMeals([day('A')], { pins });
+
+  expect(plan.dinner).toMatchObject({ pinned: true, restaurant: { name: 'A Green Bowl' } });
+  expect(pinMeal(pins, 0, 'dinner', null)).toEqual({});
+  expect(planMeals([day('A')], { pins: pinMeal({}, 0, 'dinner', 'Gone') })[0].dinner.pinned).toBe(false);
+});
+
+test('drops malformed pins', () => {
+  const pins = { 0: { dinner: 'A Grill', brunch: 'A Café', lunch: 3 }, x: { lunch: 'A Café' }, 1: 'A Grill', 2: { lunch: '' } };
+
+  expect(normalizeMealPins(pins)).toEqual({ 0: { dinner: 'A Grill' } });
+  expect(normalizeMealPins(['A Grill'])).toEqual({});
+});
@@ -0,0 +1,263 @@
+// src/utils/pdfExport.js
+// Printable trip document: a cover page followed by one section per day with a
+// route sketch, stops, descriptions and food/hotel picks.
+import { fileSlug } from "./download";
+import { dayColor } from "./dayColors";
+import { formatMoney, formatPrice } from "./currency";
+import { parseLocalDate } from "./scheduler";
+import { OFFLINE_RATES } from "../services/exchangeRates";
+
+const PAGE = { width: 210, height: 297, margin: 16 }; // A4 in mm
+const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2;
+
+// The built-in PDF fonts only cover Latin-1, so spell out common symbols and
+// drop anything else (emoji, non-Latin scripts) instead of printing garbage.
+const LATIN1_MAX = 0xff;
+
+const toPdfText = (text) =>
+    Array.from(
+        String(text ?? "")
+            .replace(/₹/g, "INR ")
+            .replace(/€/g, "EUR ")
+            .replace(/[–—]/g, "-")
+            .replace(/[‘’]/g, "'")
+            .replace(/[“”]/g, '"')
+            .replace(/…/g, "...")
+            .replace(/→/g, "->")
+    )
+        .filter((char) => char.codePointAt(0) <= LATIN1_MAX)
+        .join("");
+
+const hexToRgb = (hex) => {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+};
+
+const formatDate = (date) =>
+    date.toLocaleDateString(undefined, { weekday: "short", day: "numeric", month: "short", year: "numeric" });
+
+/**
+ * Small cursor over a jsPDF document that adds pages as content overflows.
+ */
+const createWriter = (doc) => {
+    let y = PAGE.margin;
+
+    const ensureSpace = (height) => {
+        if (y + height > PAGE.height - PAGE.margin) {
+            doc.addPage();
+            y = PAGE.margin;
+        }
+    };
+
+    const text = (value, { size = 10, style = "normal", color = [40, 40, 40], indent = 0, gap = 1.5 } = {}) => {
+        doc.setFont("helvetica", style);
+        doc.setFontSize(size);
+        doc.setTextColor(...color);
+        const lineHeight = size * 0.42;
+        const lines = doc.splitTextToSize(toPdfText(value), CONTENT_WIDTH - indent);
+        lines.forEach((line) => {
+            ensureSpace(lineHeight);
+            doc.text(line, PAGE.margin + indent, y + lineHeight * 0.8);
+            y += lineHeight;
+        });
+        y += gap;
+    };
+
+    return {
+        text,
+        ensureSpace,
+        space: (height) => {
+            y += height;
+        },
+        get y() {
+            return y;
+        },
+        set y(value) {
+            y = value;
+        },
+    };
+};
+
+/**
+ * Draws a schematic of the day's route: the stops as numbered dots joined in
+ * visiting order, placed with a simple Web-Mercator projection fitted to
+ * their bounding box. There is no map behind it, which the caption says.
+ */
+const drawRouteSketch = (doc, places, x, y, width, height, color) => {
+    doc.setDrawColor(210, 214, 222);
+    doc.setFillColor(244, 246, 250);
+    doc.roundedRect(x, y, width, height, 3, 3, "FD");
+
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(7);
+    doc.setTextColor(130, 136, 150);
+    doc.text("Route sketch - stop order and rough layout, not a map", x + 3, y + 4.5);
+
+    const points = places.filter((p) => p.location && Number.isFinite(p.location.lat));
+    if (!points.length) return;
+
+    const project = ({ lat, lng }) => {
+        const rad = (lat * Math.PI) / 180;
+        return [lng, Math.log(Math.tan(Math.PI / 4 + rad / 2)) * (180 / Math.PI)];
+    };
+    const projected = points.map((p) => project(p.location));
+    const xs = projected.map((p) => p[0]);
+    const ys = projected.map((p) => p[1]);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const minY = Math.min(...ys);
+    const maxY = Math.max(...ys);
+
+    const pad = 10;
+    const spanX = maxX - minX || 1e-6;
+    const spanY = maxY - minY || 1e-6;
+    const scale = Math.min((width - pad * 2) / spanX, (height - pad * 2) / spanY);
+    const offsetX = x + (width - spanX * scale) / 2;
+    const offsetY = y + (height - spanY * scale) / 2;
+    const toPage = ([px, py]) => [offsetX + (px - minX) * scale, offsetY + (maxY - py) * scale];
+
+    const pagePoints = projected.map(toPage);
+    const rgb = hexToRgb(color);
+
+    doc.setDrawColor(...rgb);
+    doc.setLineWidth(0.8);
+    for (let i = 1; i < pagePoints.length; i++) {
+        doc.line(...pagePoints[i - 1], ...pagePoints[i]);
+    }
+
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(8);
+    pagePoints.forEach(([px, py], i) => {
+        doc.setFillColor(...rgb);
+        doc.setDrawColor(255, 255, 255);
+        doc.setLineWidth(0.6);
+        doc.circle(px, py, 3, "FD");
+        doc.setTextColor(255, 255, 255);
+        doc.text(String(i + 1), px, py + 1, { align: "center" });
+    });
+};
+
+const writeCover = (doc, { city, budget, currency, days, itinerary, startDate }) => {
+    doc.setFillColor(11, 18, 32);
+    doc.rect(0, 0, PAGE.width, PAGE.height, "F");
+
+    doc.setTextColor(233, 240, 255);
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(34);
+    doc.text(toPdfText(city), PAGE.width / 2, 100, { align: "center" });
+
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(14);
+    doc.text("Travel Itinerary", PAGE.width / 2, 112, { align: "center" });
+
+    const totalStops = itinerary.reduce((sum, day) => sum + (day.itinerary?.length || 0), 0);
+    let dates = `${days} day${days === 1 ? "" : "s"}`;
+    if (startDate) {
+        const start = parseLocalDate(startDate);
+        const end = parseLocalDate(startDate);
+        end.setDate(end.getDate() + days - 1);
+        dates = `${formatDate(start)} - ${formatDate(end)} (${dates})`;
+    }
+    const lines = [dates, `Budget: ${currency ? formatMoney(Number(budget), currency) : budget}`, `${totalStops} stops`];
+
+    doc.setFontSize(12);
+    lines.forEach((line, i) => {
+        doc.text(toPdfText(line), PAGE.width / 2, 140 + i * 8, { align: "center" });
+    });
+
+    doc.setFontSize(9);
+    doc.setTextColor(150, 160, 180);
+    doc.text(`Generated ${formatDate(new Date())}`, PAGE.width / 2, PAGE.height - 20, { align: "center" });
+};
+
+const writePicks = (writer, label, items, describe) => {
+    if (!items?.length) return;
+    writer.text(label, { size: 9, style: "bold", color: [80, 80, 80], indent: 6, gap: 0.5 });
+    items.forEach((item) => {
+        writer.text(`- ${describe(item)}`, { size: 9, color: [90, 90, 90], indent: 8, gap: 0.3 });
+    });
+    writer.space(1);
+};
+
+const writeDay = (doc, writer, day, dayIndex, showPrice) => {
+    const color = dayColor(dayIndex);
+    const places = day.itinerary || [];
+
+    doc.addPage();
+    writer.y = PAGE.margin;
+
+    doc.setFillColor(...hexToRgb(color));
+    doc.rect(PAGE.margin, writer.y, 3, 10, "F");
+    writer.y += 1;
+    writer.text(day.city ? `Day ${dayIndex + 1} · ${day.city}` : `Day ${dayIndex + 1}`, {
+        size: 10,
+        style: "bold",
+        color: hexToRgb(color),
+        indent: 6,
+        gap: 0,
+    });
+    writer.text(day.title, { size: 16, style: "bold", color: [20, 20, 30], indent: 6, gap: 4 });
+    if (day.transfer) {
+        const { from, to, mode, duration } = day.transfer;
+        writer.text([`${from} → ${to}`, mode, duration].filter(Boolean).join(" · "), {
+            size: 10,
+            color: [90, 90, 110],
+            indent: 6,
+            gap: 3,
+        });
+    }
+
+    const sketchHeight = 70;
+    drawRouteSketch(doc, places, PAGE.margin, writer.y, CONTENT_WIDTH, sketchHeight, color);
+    writer.y += sketchHeight + 6;
+
+    places.forEach((place, i) => {
+        writer.ensureSpace(24);
+        writer.text(`${i + 1}. ${place.name}`, { size: 12, style: "bold", color: [20, 20, 30], gap: 1 });
+        if (place.location) {
+            writer.text(`${place.location.lat.toFixed(5)}, ${place.location.lng.toFixed(5)}`, {
+                size: 8,
+                color: [130, 130, 130],
+                indent: 6,
+                gap: 1,
+            });
+        }
+        writer.text(place.description, { size: 9.5, color: [50, 50, 50], indent: 6, gap: 2 });
+        writePicks(writer, "Food picks", place.nearbyFood, (f) => `${f.name} (${f.rating}, ${f.distance})`);
+        writePicks(writer, "Hotel picks", place.nearbyHotels, (h) => `${h.name} (${h.rating}, ${showPrice(h.price)}, ${h.distance})`);
+        writer.space(3);
+    });
+};
+
+/**
+ * Builds the itinerary PDF and returns the jsPDF document.
+ * `trip` is { city, budget, days, itinerary, startDate?, currency? }; hotel
+ * prices are converted to the trip currency with `rates`.
+ */
+export async function buildItineraryPdf(trip, { rates = OFFLINE_RATES } = {}) {
+    // Loaded on demand so jsPDF stays out of the main bundle
+    const { jsPDF } = await import("jspdf");
+    const doc = new jsPDF({ unit: "mm", format: "a4" });
+    const writer = createWriter(doc);
+
+    writeCover(doc, trip);
+    const showPrice = (price) => (trip.currency ? formatPrice(price, trip.currency, rates) : price);
+    trip.itinerary.forEach((day, i) => writeDay(doc, writer, day, i, showPrice));
+
+    const pageCount = doc.getNumberOfPages();
+    for (let page = 2; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.setFont("helvetica", "normal");
+        doc.setFontSize(8);
+        doc.setTextColor(150, 150, 150);
+        doc.text(toPdfText(`${trip.city} itinerary`), PAGE.margin, PAGE.height - 8);
+        doc.text(`${page - 1} / ${pageCount - 1}`, PAGE.width - PAGE.margin, PAGE.height - 8, { align: "right" });
+    }
+
+    return doc;
+}
+
+export async function exportItineraryPdf(trip, options) {
+    const doc = await buildItineraryPdf(trip, options);
+    doc.save(`${fileSlug(trip.city)}-itinerary.pdf`);
+}
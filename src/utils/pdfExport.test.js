@@ -0,0 +1,46 @@
+import { buildItineraryPdf } from './pdfExport';
+
+const texts = [];
+
+// A document that records its text; every other drawing call is a no-op
+jest.mock('jspdf', () => ({
+  jsPDF: function FakePdf() {
+    return new Proxy(
+      {
+        text: (value) => texts.push(value),
+        splitTextToSize: (value) => [value],
+        getNumberOfPages: () => 1,
+      },
+      // `then` stays undefined so the document is not mistaken for a promise
+      { get: (doc, name) => doc[name] || (name === 'then' ? undefined : () => {}) }
+    );
+  },
+}));
+
+const formatDate = (date) =>
+  date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+
+beforeEach(() => {
+  texts.length = 0;
+});
+
+test('dates the cover by the local calendar days of the trip', async () => {
+  await buildItineraryPdf({
+    city: 'Rome',
+    budget: 900,
+    currency: 'EUR',
+    days: 3,
+    startDate: '2026-10-18',
+    itinerary: [{ title: 'Day 1' }, { title: 'Day 2' }, { title: 'Day 3' }],
+  });
+
+  // The suite runs west of UTC (see src/setupTimezone.js)
+  expect(new Date(2026, 9, 18).getTimezoneOffset()).toBeGreaterThan(0);
+  expect(texts).toContain(`${formatDate(new Date(2026, 9, 18))} - ${formatDate(new Date(2026, 9, 20))} (3 days)`);
+});
+
+test('labels each day route as a sketch rather than a map', async () => {
+  await buildItineraryPdf({ city: 'Rome', budget: 900, days: 2, itinerary: [{ title: 'Day 1' }, { title: 'Day 2' }] });
+
+  expect(texts.filter((text) => text.startsWith('Route sketch'))).toHaveLength(2);
+});
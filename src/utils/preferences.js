@@ -0,0 +1,105 @@
+// src/utils/preferences.js
+// Traveller preferences collected in the form, stored with each trip and
+// turned into prompt instructions for Gemini.
+
+export const INTERESTS = {
+    food: "🍜 Food",
+    history: "🏛️ History",
+    art: "🎨 Art & museums",
+    nature: "🌿 Nature",
+    nightlife: "🌃 Nightlife",
+    shopping: "🛍️ Shopping",
+    architecture: "🏙️ Architecture",
+    adventure: "🧗 Adventure",
+};
+
+export const PACES = {
+    relaxed: { label: "Relaxed", stops: "2-3", note: "with long breaks and no rushing" },
+    balanced: { label: "Balanced", stops: "3-4", note: "" },
+    packed: { label: "Packed", stops: "5-6", note: "to see as much as possible" },
+};
+
+export const TRAVEL_STYLES = {
+    solo: "Solo",
+    couple: "Couple",
+    family: "Family with kids",
+    friends: "Group of friends",
+};
+
+export const DIETARY = {
+    vegetarian: "Vegetarian",
+    vegan: "Vegan",
+    halal: "Halal",
+    kosher: "Kosher",
+    glutenFree: "Gluten-free",
+};
+
+export const ACCESSIBILITY = {
+    wheelchair: "Wheelchair user",
+    limitedWalking: "Limited walking",
+    stepFree: "Step-free access",
+};
+
+export const DEFAULT_PREFERENCES = {
+    interests: [],
+    pace: "balanced",
+    style: "",
+    dietary: [],
+    accessibility: [],
+};
+
+const isKey = (value, table) => typeof value === "string" && Object.prototype.hasOwnProperty.call(table, value);
+
+// Known keys of `table` listed in `value`, without repeats; [] unless it is an array
+const knownKeys = (value, table) => (Array.isArray(value) ? [...new Set(value.filter((key) => isKey(key, table)))] : []);
+
+/**
+ * Complete, well-formed preferences from anything: fills in fields missing from
+ * trips saved before preferences existed, and drops values that are not known
+ * keys (share links and imported files can carry anything).
+ */
+export function normalizePreferences(preferences) {
+    const p = preferences && typeof preferences === "object" ? preferences : {};
+    return {
+        interests: knownKeys(p.interests, INTERESTS),
+        pace: isKey(p.pace, PACES) ? p.pace : DEFAULT_PREFERENCES.pace,
+        style: isKey(p.style, TRAVEL_STYLES) ? p.style : DEFAULT_PREFERENCES.style,
+        dietary: knownKeys(p.dietary, DIETARY),
+        accessibility: knownKeys(p.accessibility, ACCESSIBILITY),
+    };
+}
+
+export function hasPreferences(preferences) {
+    const p = normalizePreferences(preferences);
+    return !!(p.interests.length || p.pace !== "balanced" || p.style || p.dietary.length || p.accessibility.length);
+}
+
+const labels = (keys, table) => keys.map((key) => table[key]?.replace(/^[^\p{L}\d]+\s/u, "") || key).join(", ");
+
+/**
+ * Prompt block describing the traveller, or "" when nothing was chosen.
+ */
+export function describePreferences(preferences) {
+    if (!hasPreferences(preferences)) return "";
+    const p = normalizePreferences(preferences);
+    const lines = [];
+
+    if (p.interests.length) {
+        lines.push(`- Interests: ${labels(p.interests, INTERESTS)}. Favour places that match these.`);
+    }
+    const pace = PACES[p.pace] || PACES.balanced;
+    lines.push(`- Pace: ${pace.label.toLowerCase()}, ${pace.stops} places per day${pace.note ? ` ${pace.note}` : ""}.`);
+    if (p.style) {
+        lines.push(`- Travelling as: ${TRAVEL_STYLES[p.style] || p.style}. Choose places and hotels that suit them.`);
+    }
+    if (p.dietary.length) {
+        lines.push(`- Dietary needs: ${labels(p.dietary, DIETARY)}. Every restaurant must cater for this; say how in its description.`);
+    }
+    if (p.accessibility.length) {
+        lines.push(
+            `- Accessibility: ${labels(p.accessibility, ACCESSIBILITY)}. Only include places, restaurants and hotels with step-free access, and mention accessibility in each description.`
+        );
+    }
+
+    return `TRAVELLER PREFERENCES (follow these strictly):\n${lines.join("\n")}`;
+}
@@ -0,0 +1,46 @@
+import { describePreferences, hasPreferences, normalizePreferences } from './preferences';
+
+test('adds nothing to the prompt for default preferences', () => {
+  expect(hasPreferences(undefined)).toBe(false);
+  expect(describePreferences({ pace: 'balanced', interests: [] })).toBe('');
+});
+
+test('describes every chosen preference', () => {
+  const text = describePreferences({
+    interests: ['food', 'history'],
+    pace: 'relaxed',
+    style: 'family',
+    dietary: ['vegan'],
+    accessibility: ['wheelchair'],
+  });
+
+  expect(text).toMatch(/^TRAVELLER PREFERENCES/);
+  expect(text).toContain('Interests: Food, History.');
+  expect(text).toContain('2-3 places per day');
+  expect(text).toContain('Family with kids');
+  expect(text).toContain('Dietary needs: Vegan.');
+  expect(text).toContain('Accessibility: Wheelchair user.');
+});
+
+test('fills in fields missing from older trips', () => {
+  expect(normalizePreferences({ pace: 'packed' })).toEqual({
+    interests: [],
+    pace: 'packed',
+    style: '',
+    dietary: [],
+    accessibility: [],
+  });
+});
+
+test('drops malformed and unknown values', () => {
+  expect(
+    normalizePreferences({
+      interests: ['food', 'food', 'poetry', 7],
+      pace: 'warp',
+      style: 'constructor',
+      dietary: 'vegan',
+      accessibility: { wheelchair: true },
+    })
+  ).toEqual({ interests: ['food'], pace: 'balanced', style: '', dietary: [], accessibility: [] });
+  expect(normalizePreferences('vegan')).toEqual(normalizePreferences(undefined));
+});
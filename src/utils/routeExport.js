@@ -0,0 +1,180 @@
+// src/utils/routeExport.js
+// Route exporters for GPS and GIS apps. All take { city, itinerary } and return
+// the file contents as a string.
+import { DAY_COLORS } from "./dayColors";
+
+const escapeXml = (value) =>
+    String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+
+const hasCoords = (place) =>
+    Number.isFinite(place?.location?.lat) && Number.isFinite(place?.location?.lng);
+
+// Days with only the stops that can be placed on a map
+const mappableDays = (itinerary) =>
+    itinerary.map((day, dayIndex) => ({
+        day,
+        dayNumber: dayIndex + 1,
+        places: (day.itinerary || []).filter(hasCoords),
+    }));
+
+/**
+ * GeoJSON FeatureCollection with a Point per stop and a LineString per day.
+ */
+export function toGeoJSON({ city, itinerary }) {
+    const features = [];
+
+    mappableDays(itinerary).forEach(({ day, dayNumber, places }) => {
+        places.forEach((place, stopIndex) => {
+            features.push({
+                type: "Feature",
+                geometry: { type: "Point", coordinates: [place.location.lng, place.location.lat] },
+                properties: {
+                    name: place.name,
+                    description: place.description || "",
+                    label: place.location.label || place.name,
+                    day: dayNumber,
+                    dayTitle: day.title,
+                    stop: stopIndex + 1,
+                },
+            });
+        });
+
+        if (places.length > 1) {
+            features.push({
+                type: "Feature",
+                geometry: {
+                    type: "LineString",
+                    coordinates: places.map((p) => [p.location.lng, p.location.lat]),
+                },
+                properties: { name: day.title, day: dayNumber, kind: "route" },
+            });
+        }
+    });
+
+    return JSON.stringify({ type: "FeatureCollection", name: `${city} itinerary`, features }, null, 2);
+}
+
+/**
+ * GPX 1.1 with a waypoint per stop and a track per day.
+ */
+export function toGPX({ city, itinerary }) {
+    const days = mappableDays(itinerary);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="AI Travel Itinerary" xmlns="http://www.topografix.com/GPX/1/1">',
+        "  <metadata>",
+        `    <name>${escapeXml(`${city} itinerary`)}</name>`,
+        `    <time>${new Date().toISOString()}</time>`,
+        "  </metadata>",
+    ];
+
+    days.forEach(({ day, dayNumber, places }) => {
+        places.forEach((place, stopIndex) => {
+            lines.push(
+                `  <wpt lat="${place.location.lat}" lon="${place.location.lng}">`,
+                // GPX 1.1 requires this child order: name, cmt, desc, …, type
+                `    <name>${escapeXml(place.name)}</name>`,
+                `    <cmt>${escapeXml(`Day ${dayNumber}, stop ${stopIndex + 1}: ${day.title}`)}</cmt>`,
+                `    <desc>${escapeXml(place.description)}</desc>`,
+                `    <type>${escapeXml(`Day ${dayNumber}`)}</type>`,
+                "  </wpt>"
+            );
+        });
+    });
+
+    days.forEach(({ day, dayNumber, places }) => {
+        if (!places.length) return;
+        lines.push(
+            "  <trk>",
+            `    <name>${escapeXml(day.title)}</name>`,
+            `    <number>${dayNumber}</number>`,
+            "    <trkseg>"
+        );
+        places.forEach((place) => {
+            lines.push(
+                `      <trkpt lat="${place.location.lat}" lon="${place.location.lng}">`,
+                `        <name>${escapeXml(place.name)}</name>`,
+                "      </trkpt>"
+            );
+        });
+        lines.push("    </trkseg>", "  </trk>");
+    });
+
+    lines.push("</gpx>");
+    return lines.join("\n") + "\n";
+}
+
+// KML colours are aabbggrr
+const toKmlColor = (hex) => `ff${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`;
+
+/**
+ * KML with one folder per day holding styled stop placemarks and the route.
+ */
+export function toKML({ city, itinerary }) {
+    const days = mappableDays(itinerary);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        "  <Document>",
+        `    <name>${escapeXml(`${city} itinerary`)}</name>`,
+    ];
+
+    DAY_COLORS.forEach((hex, i) => {
+        const color = toKmlColor(hex);
+        lines.push(
+            `    <Style id="day-${i}">`,
+            `      <IconStyle><color>${color}</color><scale>1.1</scale></IconStyle>`,
+            `      <LineStyle><color>${color}</color><width>4</width></LineStyle>`,
+            "    </Style>"
+        );
+    });
+
+    days.forEach(({ day, dayNumber, places }) => {
+        const styleUrl = `#day-${(dayNumber - 1) % DAY_COLORS.length}`;
+        lines.push("    <Folder>", `      <name>${escapeXml(`Day ${dayNumber}: ${day.title}`)}</name>`);
+
+        places.forEach((place, stopIndex) => {
+            lines.push(
+                "      <Placemark>",
+                `        <name>${escapeXml(`${stopIndex + 1}. ${place.name}`)}</name>`,
+                `        <description>${escapeXml(place.description)}</description>`,
+                `        <styleUrl>${styleUrl}</styleUrl>`,
+                "        <ExtendedData>",
+                `          <Data name="day"><value>${dayNumber}</value></Data>`,
+                `          <Data name="stop"><value>${stopIndex + 1}</value></Data>`,
+                "        </ExtendedData>",
+                `        <Point><coordinates>${place.location.lng},${place.location.lat},0</coordinates></Point>`,
+                "      </Placemark>"
+            );
+        });
+
+        if (places.length > 1) {
+            lines.push(
+                "      <Placemark>",
+                `        <name>${escapeXml(`Day ${dayNumber} route`)}</name>`,
+                `        <styleUrl>${styleUrl}</styleUrl>`,
+                "        <LineString>",
+                "          <tessellate>1</tessellate>",
+                `          <coordinates>${places.map((p) => `${p.location.lng},${p.location.lat},0`).join(" ")}</coordinates>`,
+                "        </LineString>",
+                "      </Placemark>"
+            );
+        }
+
+        lines.push("    </Folder>");
+    });
+
+    lines.push("  </Document>", "</kml>");
+    return lines.join("\n") + "\n";
+}
+
+export const ROUTE_FORMATS = {
+    gpx: { label: "GPX", build: toGPX, extension: "gpx", mimeType: "application/gpx+xml" },
+    kml: { label: "KML", build: toKML, extension: "kml", mimeType: "application/vnd.google-earth.kml+xml" },
+    geojson: { label: "GeoJSON", build: toGeoJSON, extension: "geojson", mimeType: "application/geo+json" },
+};
@@ -0,0 +1,52 @@
+import { toGPX, toKML, toGeoJSON } from './routeExport';
+
+const trip = {
+  city: 'Rome',
+  itinerary: [
+    {
+      title: 'Day 1: Ancient <Rome>',
+      itinerary: [
+        { name: 'Colosseum', description: 'Gladiators & "games"', location: { lat: 41.8902, lng: 12.4922 } },
+        { name: 'Unplaced stop', description: '' },
+        { name: "Trevi's Fountain", description: 'Coins', location: { lat: 41.9009, lng: 12.4833 } },
+      ],
+    },
+  ],
+};
+
+test('writes GPX waypoint children in schema order', () => {
+  const gpx = toGPX(trip);
+  const waypoint = gpx.slice(gpx.indexOf('<wpt'), gpx.indexOf('</wpt>'));
+  const tags = waypoint.match(/<(\w+)>/g);
+
+  expect(tags).toEqual(['<name>', '<cmt>', '<desc>', '<type>']);
+});
+
+test('escapes XML special characters', () => {
+  const gpx = toGPX(trip);
+  const kml = toKML(trip);
+
+  expect(gpx).toContain('<desc>Gladiators &amp; &quot;games&quot;</desc>');
+  expect(gpx).toContain('<name>Trevi&apos;s Fountain</name>');
+  expect(kml).toContain('Day 1: Ancient &lt;Rome&gt;');
+  expect(kml).not.toContain('<Rome>');
+});
+
+test('writes GeoJSON coordinates as [lng, lat]', () => {
+  const { features } = JSON.parse(toGeoJSON(trip));
+
+  expect(features[0].geometry.coordinates).toEqual([12.4922, 41.8902]);
+  expect(features[2].geometry).toEqual({
+    type: 'LineString',
+    coordinates: [
+      [12.4922, 41.8902],
+      [12.4833, 41.9009],
+    ],
+  });
+});
+
+test('skips stops without coordinates', () => {
+  expect(toGPX(trip).match(/<wpt /g)).toHaveLength(2);
+  expect(toKML(trip)).not.toContain('Unplaced stop');
+  expect(JSON.parse(toGeoJSON(trip)).features.filter((f) => f.geometry.type === 'Point')).toHaveLength(2);
+});
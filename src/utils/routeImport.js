@@ -0,0 +1,151 @@
+// src/utils/routeImport.js
+// Reads an itinerary back from a file: the JSON shape generateItinerary
+// returns (or a saved trip), a GeoJSON FeatureCollection, or GPX waypoints.
+import {
+    validateDraftItinerary,
+    formatValidationErrors,
+} from "../services/itinerarySchema";
+import { ImportError } from "../services/errors";
+import { normalizeTripFields } from "./tripFields";
+
+const DAY_PATTERN = /day\s*(\d+)/i;
+
+// Groups flat stops into days by their `day` number, keeping stop order
+const groupByDay = (stops, dayTitles = {}) => {
+    const byDay = new Map();
+    stops.forEach((stop) => {
+        const day = Number.isInteger(stop.day) && stop.day > 0 ? stop.day : 1;
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(stop);
+    });
+
+    const maxDay = Math.max(0, ...byDay.keys());
+    const days = [];
+    for (let day = 1; day <= maxDay; day++) {
+        const dayStops = (byDay.get(day) || []).sort((a, b) => (a.stop ?? 0) - (b.stop ?? 0));
+        days.push({
+            title: dayTitles[day] || `Day ${day}`,
+            itinerary: dayStops.map(({ place }) => place),
+        });
+    }
+    return days;
+};
+
+const toPlace = (name, description, lat, lng) => ({
+    name: name || `${lat.toFixed(4)}, ${lng.toFixed(4)}`,
+    description: description || "",
+    location: { lat, lng, label: name || "" },
+});
+
+const fromGeoJSON = (data) => {
+    const dayTitles = {};
+    const stops = (data.features || [])
+        .filter((f) => f?.geometry?.type === "Point")
+        .map((feature, index) => {
+            const props = feature.properties || {};
+            const [lng, lat] = feature.geometry.coordinates;
+            const day = Number(props.day) || undefined;
+            if (day && props.dayTitle) dayTitles[day] = props.dayTitle;
+            return {
+                day,
+                stop: Number(props.stop) || index,
+                place: toPlace(props.name || props.title, props.description, Number(lat), Number(lng)),
+            };
+        });
+
+    if (!stops.length) throw new ImportError("The GeoJSON file has no Point features.");
+
+    const city = typeof data.name === "string" ? data.name.replace(/\s+itinerary$/i, "") : undefined;
+    return { city, itinerary: groupByDay(stops, dayTitles) };
+};
+
+const childText = (el, tag) => el.getElementsByTagName(tag)[0]?.textContent?.trim() || "";
+
+const fromGPX = (text) => {
+    const doc = new DOMParser().parseFromString(text, "application/xml");
+    if (doc.getElementsByTagName("parsererror").length) {
+        throw new ImportError("The GPX file is not valid XML.");
+    }
+
+    // Prefer waypoints; fall back to route or track points
+    let points = Array.from(doc.getElementsByTagName("wpt"));
+    if (!points.length) points = Array.from(doc.getElementsByTagName("rtept"));
+    if (!points.length) points = Array.from(doc.getElementsByTagName("trkpt"));
+    if (!points.length) throw new ImportError("The GPX file has no waypoints.");
+
+    const stops = points.map((pt, index) => {
+        const dayMatch = DAY_PATTERN.exec(childText(pt, "type")) || DAY_PATTERN.exec(childText(pt, "cmt"));
+        return {
+            day: dayMatch ? Number(dayMatch[1]) : undefined,
+            stop: index,
+            place: toPlace(
+                childText(pt, "name"),
+                childText(pt, "desc"),
+                Number(pt.getAttribute("lat")),
+                Number(pt.getAttribute("lon"))
+            ),
+        };
+    });
+
+    const name = doc.getElementsByTagName("metadata")[0]
+        ? childText(doc.getElementsByTagName("metadata")[0], "name")
+        : "";
+    return { city: name.replace(/\s+itinerary$/i, "") || undefined, itinerary: groupByDay(stops) };
+};
+
+const fromJSON = (data) => {
+    // A saved trip or share payload carries the days under `itinerary`
+    if (data && !Array.isArray(data) && Array.isArray(data.itinerary)) {
+        return {
+            city: typeof data.city === "string" ? data.city : undefined,
+            ...normalizeTripFields(data),
+            itinerary: data.itinerary,
+        };
+    }
+    if (Array.isArray(data)) return { itinerary: data };
+    throw new ImportError("The JSON file is not an itinerary (expected an array of days).");
+};
+
+/**
+ * Parses file contents into { city?, budget?, currency?, legs?, preferences?, stays?, meals?, itinerary, needsEnrichment }.
+ * Throws ImportError when the format is unknown or the result is invalid.
+ */
+export function parseItineraryFile(text, filename = "") {
+    const trimmed = text.trim();
+    let result;
+
+    if (/\.gpx$/i.test(filename) || trimmed.startsWith("<")) {
+        result = fromGPX(trimmed);
+    } else {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (err) {
+            throw new ImportError(`The file is not valid JSON: ${err.message}`);
+        }
+        result = data?.type === "FeatureCollection" ? fromGeoJSON(data) : fromJSON(data);
+    }
+
+    // Missing descriptions become empty strings; anything else is left for the validator
+    result.itinerary = result.itinerary.map((day) =>
+        Array.isArray(day?.itinerary)
+            ? {
+                  ...day,
+                  itinerary: day.itinerary.map((place) =>
+                      place && typeof place === "object" ? { ...place, description: place.description ?? "" } : place
+                  ),
+              }
+            : day
+    );
+
+    const errors = validateDraftItinerary(result.itinerary);
+    if (errors.length) {
+        throw new ImportError(`The itinerary in this file is invalid:\n${formatValidationErrors(errors)}`);
+    }
+
+    const places = result.itinerary.flatMap((day) => day.itinerary || []);
+    result.needsEnrichment = places.some(
+        (place) => !place.description || !place.nearbyFood?.length || !place.nearbyHotels?.length
+    );
+    return result;
+}
@@ -0,0 +1,54 @@
+import { parseItineraryFile } from './routeImport';
+import { toGPX, toGeoJSON } from './routeExport';
+
+const trip = {
+  city: 'Kyoto',
+  itinerary: [
+    {
+      title: 'Day 1: Temples',
+      itinerary: [
+        { name: 'Kinkaku-ji', description: 'Golden Pavilion', location: { lat: 35.0394, lng: 135.7292 } },
+        { name: 'Ryoan-ji', description: 'Rock garden', location: { lat: 35.0345, lng: 135.7182 } },
+      ],
+    },
+    {
+      title: 'Day 2: Gion',
+      itinerary: [{ name: 'Yasaka Shrine', description: 'Shrine & lanterns', location: { lat: 35.0037, lng: 135.7785 } }],
+    },
+  ],
+};
+
+const summary = (itinerary) => itinerary.map((day) => day.itinerary.map((p) => p.name));
+
+test('reads back an exported GPX file', () => {
+  const result = parseItineraryFile(toGPX(trip), 'kyoto.gpx');
+  expect(result.city).toBe('Kyoto');
+  expect(summary(result.itinerary)).toEqual([['Kinkaku-ji', 'Ryoan-ji'], ['Yasaka Shrine']]);
+  expect(result.itinerary[1].itinerary[0].description).toBe('Shrine & lanterns');
+  expect(result.needsEnrichment).toBe(true);
+});
+
+test('reads back an exported GeoJSON file with day titles', () => {
+  const result = parseItineraryFile(toGeoJSON(trip), 'kyoto.geojson');
+  expect(result.itinerary.map((d) => d.title)).toEqual(['Day 1: Temples', 'Day 2: Gion']);
+  expect(result.itinerary[0].itinerary[1].location).toEqual({ lat: 35.0345, lng: 135.7182, label: 'Ryoan-ji' });
+});
+
+test('accepts itinerary JSON and rejects invalid files', () => {
+  const result = parseItineraryFile(JSON.stringify(trip.itinerary), 'trip.json');
+  expect(summary(result.itinerary)).toEqual(summary(trip.itinerary));
+
+  expect(() => parseItineraryFile('{"hello": 1}', 'x.json')).toThrow('not an itinerary');
+  expect(() => parseItineraryFile('[{"title": "Day 1", "itinerary": [{"name": "A"}]}]', 'x.json')).toThrow(
+    '$[0].itinerary[0].location: is required'
+  );
+});
+
+test('validates the settings of an imported saved trip', () => {
+  const saved = { ...trip, budget: 'lots', preferences: { dietary: 'vegan', pace: 'relaxed' }, legs: [{ city: 'Kyoto' }] };
+  const result = parseItineraryFile(JSON.stringify(saved), 'kyoto.json');
+
+  expect(result.budget).toBeUndefined();
+  expect(result.legs).toBeUndefined();
+  expect(result.preferences).toEqual({ interests: [], pace: 'relaxed', style: '', dietary: [], accessibility: [] });
+});
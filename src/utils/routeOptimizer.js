@@ -0,0 +1,122 @@
+// src/utils/routeOptimizer.js
+// Orders a day's stops into a short walking path: nearest-neighbour to get a
+// reasonable tour, then 2-opt to untangle crossings. Paths are open (the day
+// does not return to where it started), optionally from a fixed start point,
+// or loops back to that start point (a day out from the hotel).
+import { haversineKm, hasCoords } from "./geo";
+
+const EPSILON = 1e-9;
+
+const distanceMatrix = (points) =>
+    points.map((a) => points.map((b) => haversineKm(a, b)));
+
+const pathLength = (order, dist, closed = false) => {
+    let total = 0;
+    for (let i = 1; i < order.length; i++) total += dist[order[i - 1]][order[i]];
+    if (closed && order.length > 1) total += dist[order[order.length - 1]][order[0]];
+    return total;
+};
+
+const nearestNeighbor = (first, count, dist) => {
+    const order = [first];
+    const visited = new Set(order);
+    while (order.length < count) {
+        const last = order[order.length - 1];
+        let next = -1;
+        for (let j = 0; j < count; j++) {
+            if (!visited.has(j) && (next === -1 || dist[last][j] < dist[last][next])) next = j;
+        }
+        order.push(next);
+        visited.add(next);
+    }
+    return order;
+};
+
+// Reverses order[i..k] whenever that shortens the path; order[0] stays put when
+// `fixedStart`, and a `closed` path also pays for the way back to order[0]
+const twoOpt = (order, dist, fixedStart, closed = false) => {
+    const path = [...order];
+    const n = path.length;
+    const d = (i, j) => {
+        if (i < 0) return 0;
+        if (j >= n) return closed ? dist[path[i]][path[0]] : 0;
+        return dist[path[i]][path[j]];
+    };
+
+    let improved = true;
+    while (improved) {
+        improved = false;
+        for (let i = fixedStart ? 1 : 0; i < n - 1; i++) {
+            for (let k = i + 1; k < n; k++) {
+                const delta = d(i - 1, k) + d(i, k + 1) - d(i - 1, i) - d(k, k + 1);
+                if (delta < -EPSILON) {
+                    path.splice(i, k - i + 1, ...path.slice(i, k + 1).reverse());
+                    improved = true;
+                }
+            }
+        }
+    }
+    return path;
+};
+
+/**
+ * Finds a short visiting order for `points`.
+ *   start     – fixed origin that is not itself a stop (e.g. the hotel)
+ *   roundTrip – also return to `start` after the last stop
+ *   fixFirst  – keep points[0] as the first stop
+ * Returns { order, beforeKm, afterKm } where `order` lists indexes into points
+ * and distances include the legs from (and back to) `start` when given.
+ */
+export function optimizeOrder(points, { start, roundTrip = false, fixFirst = false } = {}) {
+    const hasStart = hasCoords(start);
+    const closed = hasStart && roundTrip;
+    const nodes = hasStart ? [start, ...points] : points;
+    const dist = distanceMatrix(nodes);
+    const identity = nodes.map((_, i) => i);
+    const beforeKm = pathLength(identity, dist, closed);
+
+    if (points.length < 3 && !hasStart) {
+        return { order: points.map((_, i) => i), beforeKm, afterKm: beforeKm };
+    }
+
+    let best;
+    if (hasStart || fixFirst) {
+        best = twoOpt(nearestNeighbor(0, nodes.length, dist), dist, true, closed);
+    } else {
+        // Open path with a free start: try every stop as the first one
+        nodes.forEach((_, first) => {
+            const candidate = twoOpt(nearestNeighbor(first, nodes.length, dist), dist, false);
+            if (!best || pathLength(candidate, dist) < pathLength(best, dist)) best = candidate;
+        });
+    }
+
+    // Never propose something longer than what the user already has
+    if (pathLength(best, dist, closed) >= beforeKm - EPSILON) best = identity;
+
+    const order = hasStart ? best.slice(1).map((i) => i - 1) : best;
+    return { order, beforeKm, afterKm: pathLength(best, dist, closed) };
+}
+
+/**
+ * Optimizes one day's stops. Stops without coordinates keep their relative
+ * order at the end. Returns { itinerary, beforeKm, afterKm, savedKm, changed }.
+ */
+export function optimizeDay(day, options = {}) {
+    const places = day?.itinerary || [];
+    const mappable = places.filter((place) => hasCoords(place.location));
+    const unmapped = places.filter((place) => !hasCoords(place.location));
+
+    const { order, beforeKm, afterKm } = optimizeOrder(
+        mappable.map((place) => place.location),
+        options
+    );
+    const itinerary = [...order.map((i) => mappable[i]), ...unmapped];
+
+    return {
+        itinerary,
+        beforeKm,
+        afterKm,
+        savedKm: Math.max(0, beforeKm - afterKm),
+        changed: itinerary.some((place, i) => place !== places[i]),
+    };
+}
@@ -0,0 +1,53 @@
+import { haversineKm, pathDistanceKm } from './geo';
+import { optimizeOrder, optimizeDay } from './routeOptimizer';
+
+// Five stops along one street (~1.1 km apart), listed out of order
+const line = [0, 3, 1, 4, 2].map((i) => ({ lat: 48.85, lng: 2.3 + i * 0.015 }));
+
+test('haversine matches known distances', () => {
+  // Paris -> London is about 344 km
+  expect(haversineKm({ lat: 48.8566, lng: 2.3522 }, { lat: 51.5074, lng: -0.1278 })).toBeCloseTo(343.5, 0);
+  expect(pathDistanceKm([line[0]])).toBe(0);
+});
+
+const isMonotonic = (values) =>
+  values.every((v, i) => i === 0 || v > values[i - 1]) || values.every((v, i) => i === 0 || v < values[i - 1]);
+
+test('untangles a zig-zag into a straight walk', () => {
+  const { order, beforeKm, afterKm } = optimizeOrder(line);
+
+  expect(isMonotonic(order.map((i) => line[i].lng))).toBe(true);
+  expect(afterKm).toBeLessThan(beforeKm);
+  expect(afterKm).toBeCloseTo(haversineKm(line[0], line[3]), 5);
+});
+
+test('keeps a fixed start and measures from the hotel', () => {
+  const hotel = { lat: 48.85, lng: 2.3 + 4 * 0.015 + 0.01 };
+  const { order } = optimizeOrder(line, { start: hotel });
+  expect(order.map((i) => line[i].lng)).toEqual([...line.map((p) => p.lng)].sort((a, b) => b - a));
+
+  const fixed = optimizeOrder(line, { fixFirst: true });
+  expect(fixed.order[0]).toBe(0);
+});
+
+test('never proposes a longer route and reports when nothing changes', () => {
+  const day = { title: 'Day 1', itinerary: [0, 1, 2].map((i) => ({ name: `S${i}`, location: line[[0, 2, 4][i]] })) };
+  const result = optimizeDay(day);
+
+  expect(result.changed).toBe(false);
+  expect(result.savedKm).toBe(0);
+  expect(result.itinerary).toEqual(day.itinerary);
+});
+
+test('counts the way back when the day loops from the hotel', () => {
+  const hotel = { lat: 48.85, lng: 2.3 + 2 * 0.015 };
+  const { beforeKm, afterKm, order } = optimizeOrder(line, { start: hotel, roundTrip: true });
+
+  expect(beforeKm).toBeCloseTo(
+    pathDistanceKm([hotel, ...line]) + haversineKm(line[line.length - 1], hotel),
+    5
+  );
+  // Out to one end of the street and back: twice the street's length
+  expect(afterKm).toBeCloseTo(2 * haversineKm(line[0], line[3]), 5);
+  expect(order).toHaveLength(line.length);
+});
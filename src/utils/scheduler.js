@@ -0,0 +1,187 @@
+// src/utils/scheduler.js
+// Turns the ordered stops of each day into a timeline: visits, the travel
+// between them, lunch and dinner breaks, and a warning when the day overruns.
+import { dayLegs, formatMinutes, hasCoords } from "./geo";
+
+export const DEFAULT_START_TIME = "09:00";
+export const DEFAULT_END_TIME = "21:30";
+
+// Used for a leg whose ends have no coordinates
+const FALLBACK_TRANSFER_MINUTES = 30;
+
+// Legs are rounded up so times land on 5-minute marks
+const ROUND_TO_MINUTES = 5;
+
+// Visit lengths used when a place carries no visitMinutes of its own
+const DEFAULT_VISIT_MINUTES = [120, 120, 120, 180, 240, 180];
+
+// Breaks go into the first gap between stops once the window opens. A break
+// can come up to EARLY_MEAL_MINUTES early when the next visit would otherwise
+// run past the end of the window.
+export const MEAL_BREAKS = {
+    lunch: { label: "Lunch", earliest: "12:00", latest: "14:30", minutes: 60 },
+    dinner: { label: "Dinner", earliest: "18:30", latest: "21:00", minutes: 90 },
+};
+const EARLY_MEAL_MINUTES = 60;
+
+export function defaultVisitMinutes(index) {
+    return DEFAULT_VISIT_MINUTES[index % DEFAULT_VISIT_MINUTES.length];
+}
+
+export function timeOfDayLabel(date) {
+    const hour = date.getHours();
+    if (hour < 12) return "Morning";
+    if (hour < 17) return "Afternoon";
+    return "Evening";
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Whether `value` is an "HH:MM" 24-hour time such as a day's startTime.
+ */
+export const isClockTime = (value) => typeof value === "string" && CLOCK_PATTERN.test(value);
+
+/**
+ * "09:05" wall-clock time of a Date.
+ */
+export function formatClock(date) {
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Parses "YYYY-MM-DD" as a local calendar date (not UTC midnight)
+export function parseLocalDate(value) {
+    const [year, month, day] = value.split("-").map(Number);
+    return new Date(year, month - 1, day);
+}
+
+const atTime = (date, time) => {
+    const [hours, minutes] = time.split(":").map(Number);
+    const result = new Date(date);
+    result.setHours(hours, minutes, 0, 0);
+    return result;
+};
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+const roundUp = (minutes) => Math.ceil(minutes / ROUND_TO_MINUTES) * ROUND_TO_MINUTES;
+
+/**
+ * Builds the timeline of one day on `date`, visiting stops in order from
+ * `startTime`. Pass the night's `hotel` to start and end the day there, and
+ * `restaurants` ({ lunch, dinner } names) to label the meal breaks.
+ *
+ * Returns { stops, meals, end, overrunMinutes, warnings }. Each stop is
+ * { place, start, end, timeOfDay, visitMinutes, estimated, travelMinutes, leg }
+ * where `estimated` means the visit length is a default rather than the
+ * place's own; each meal is { slot, label, start, end, restaurant, afterStop, late }.
+ */
+export function scheduleDay(
+    day,
+    date,
+    { startTime = DEFAULT_START_TIME, endTime = DEFAULT_END_TIME, hotel = null, restaurants = {} } = {}
+) {
+    const places = day?.itinerary || [];
+    const origin = hasCoords(hotel?.location) && places.length ? [{ location: hotel.location }] : [];
+    const legs = dayLegs([...origin, ...places]).slice(origin.length);
+    const stops = [];
+    const meals = [];
+    const warnings = [];
+    const pending = Object.keys(MEAL_BREAKS);
+    let cursor = atTime(date, startTime);
+
+    // Takes whichever breaks are due before moving on to `nextVisitEnd` (null after the last stop)
+    const takeMeals = (afterStop, nextVisitEnd) => {
+        while (pending.length) {
+            const slot = pending[0];
+            const meal = MEAL_BREAKS[slot];
+            const opens = atTime(date, meal.earliest);
+            const closes = atTime(date, meal.latest);
+            const wouldMiss = nextVisitEnd && nextVisitEnd > closes;
+            if (cursor < opens && !(wouldMiss && cursor >= addMinutes(opens, -EARLY_MEAL_MINUTES))) return;
+
+            pending.shift();
+            const nextSlot = pending[0];
+            if (cursor > closes && nextSlot && cursor >= atTime(date, MEAL_BREAKS[nextSlot].earliest)) {
+                warnings.push(`No time for ${meal.label.toLowerCase()}: the stops before it run too long.`);
+                continue;
+            }
+
+            const end = addMinutes(cursor, meal.minutes);
+            meals.push({
+                slot,
+                label: meal.label,
+                start: cursor,
+                end,
+                restaurant: restaurants[slot] || null,
+                afterStop,
+                late: cursor > closes,
+            });
+            if (cursor > closes) warnings.push(`${meal.label} is pushed back to ${formatClock(cursor)}.`);
+            cursor = end;
+        }
+    };
+
+    places.forEach((place, index) => {
+        const leg = legs[index];
+        const hasPrevious = index > 0 || origin.length > 0;
+        const travelMinutes = leg ? roundUp(leg.minutes) : hasPrevious ? FALLBACK_TRANSFER_MINUTES : 0;
+        const visitMinutes = place.visitMinutes || defaultVisitMinutes(index);
+
+        if (index > 0) takeMeals(index - 1, addMinutes(cursor, travelMinutes + visitMinutes));
+
+        const start = addMinutes(cursor, travelMinutes);
+        const end = addMinutes(start, visitMinutes);
+        stops.push({
+            place,
+            start,
+            end,
+            timeOfDay: timeOfDayLabel(start),
+            visitMinutes,
+            estimated: !place.visitMinutes,
+            travelMinutes,
+            leg: leg || null,
+        });
+        cursor = end;
+    });
+
+    if (places.length) {
+        takeMeals(places.length - 1, null);
+        if (origin.length) {
+            const back = dayLegs([places[places.length - 1], ...origin])[1];
+            cursor = addMinutes(cursor, back ? roundUp(back.minutes) : FALLBACK_TRANSFER_MINUTES);
+        }
+    }
+
+    const overrunMinutes = Math.max(0, Math.round((cursor - atTime(date, endTime)) / 60000));
+    if (overrunMinutes > 0) {
+        warnings.unshift(`The day runs ${formatMinutes(overrunMinutes)} past ${endTime}.`);
+    }
+
+    return { stops, meals, end: cursor, overrunMinutes, warnings };
+}
+
+/**
+ * Schedules the whole trip. `startDate` is "YYYY-MM-DD" for day 1 (today when
+ * empty); each following day is the next calendar day. `hotels` and
+ * `restaurants` are per-day arrays of the scheduleDay options.
+ */
+export function scheduleTrip(itinerary, startDate, { hotels = [], restaurants = [], ...options } = {}) {
+    const first = startDate ? parseLocalDate(startDate) : new Date();
+
+    return itinerary.map((day, dayIndex) => {
+        const date = new Date(first);
+        date.setDate(first.getDate() + dayIndex);
+        return {
+            day,
+            date,
+            ...scheduleDay(day, date, {
+                ...options,
+                hotel: hotels[dayIndex],
+                restaurants: restaurants[dayIndex],
+            }),
+        };
+    });
+}
@@ -0,0 +1,73 @@
+import { scheduleDay, scheduleTrip, formatClock, isClockTime } from './scheduler';
+
+const date = new Date(2026, 10, 1);
+const at = (lat, lng) => ({ lat, lng });
+
+// Stops about 1 km apart along a line, i.e. a short walk between each
+const day = (visits) => ({
+  title: 'Day 1',
+  itinerary: visits.map((visitMinutes, i) => ({
+    name: `Stop ${i + 1}`,
+    description: '',
+    location: at(41.9 + i * 0.009, 12.5),
+    visitMinutes,
+  })),
+});
+
+const clocks = (schedule) => schedule.stops.map((s) => `${formatClock(s.start)}-${formatClock(s.end)}`);
+
+test('uses visit lengths and walking times between stops', () => {
+  const schedule = scheduleDay(day([60, 90]), date);
+
+  expect(clocks(schedule)).toEqual(['09:00-10:00', '10:20-11:50']);
+  expect(schedule.stops[1].travelMinutes).toBe(20);
+  expect(schedule.stops[1].leg.mode).toBe('walking');
+  expect(schedule.stops.map((s) => s.estimated)).toEqual([false, false]);
+  expect(schedule.warnings).toEqual([]);
+});
+
+test('puts lunch and dinner into the gaps between stops', () => {
+  const schedule = scheduleDay(day([180, 180, 100, 60]), date, { restaurants: { lunch: 'Trattoria' } });
+
+  expect(schedule.meals.map((m) => [m.slot, formatClock(m.start), m.afterStop, m.restaurant])).toEqual([
+    ['lunch', '12:00', 0, 'Trattoria'],
+    ['dinner', '19:40', 3, null],
+  ]);
+  expect(clocks(schedule)[1]).toBe('13:20-16:20');
+  expect(schedule.overrunMinutes).toBe(0);
+});
+
+test('takes lunch early rather than after a long visit', () => {
+  const schedule = scheduleDay(day([150, 240]), date);
+
+  expect(formatClock(schedule.meals[0].start)).toBe('11:30');
+  expect(schedule.meals[0].late).toBe(false);
+});
+
+test('warns when the day runs past its end time', () => {
+  const schedule = scheduleDay(day([240, 240, 120]), date, { startTime: '10:00' });
+
+  expect(schedule.overrunMinutes).toBe(100);
+  expect(schedule.warnings[0]).toBe('The day runs 1 h 40 min past 21:30.');
+});
+
+test('starts and ends the day at the hotel', () => {
+  const hotel = { name: 'Inn', location: at(41.891, 12.5) };
+  const schedule = scheduleDay(day([60]), date, { hotel });
+
+  expect(clocks(schedule)).toEqual(['09:20-10:20']);
+  expect(formatClock(schedule.end)).toBe('10:40');
+});
+
+test('falls back to default visit lengths and gives each day its date', () => {
+  const trip = scheduleTrip([{ title: 'A', itinerary: [{ name: 'X', description: '' }] }, day([60])], '2026-11-01');
+
+  expect(trip[0].stops[0].estimated).toBe(true);
+  expect(clocks(trip[0])).toEqual(['09:00-11:00']);
+  expect(trip[1].date.getDate()).toBe(2);
+});
+
+test('accepts only HH:MM 24-hour start times', () => {
+  expect(['00:00', '09:30', '23:59'].every(isClockTime)).toBe(true);
+  expect(['9:30', '24:00', '12:60', 'abc', 930, null].some(isClockTime)).toBe(false);
+});
@@ -0,0 +1,129 @@
+// src/utils/shareLink.js
+// Share links carry the whole trip in the URL hash (`#share=<scheme>.<data>`),
+// so opening one needs no server and no regeneration. The hash never reaches
+// the server, which keeps long itineraries out of request logs.
+import { validateDraftItinerary, formatValidationErrors } from "../services/itinerarySchema";
+import { ShareLinkError } from "../services/errors";
+import { normalizeTripFields } from "./tripFields";
+
+const HASH_KEY = "share";
+const VERSION = 1;
+
+// "z" = deflate-raw compressed JSON, "j" = plain JSON (browsers without CompressionStream)
+const COMPRESSED = "z";
+const PLAIN = "j";
+
+const canCompress = () =>
+    typeof CompressionStream === "function" && typeof Response === "function" && typeof Blob === "function";
+
+const pipeBytes = async (bytes, transform) => {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const toBase64Url = (bytes) => {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) => {
+    const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+    const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+/**
+ * Encodes a trip and the current selection into the value of the share hash.
+ * `trip` is { city, budget, currency?, itinerary, startDate?, startTime?, legs?, preferences?, stays?, meals? };
+ * `selection` is { day, place } as indexes (place may be null).
+ */
+export async function encodeSharePayload(trip, selection = {}, { compress = canCompress() } = {}) {
+    const payload = {
+        v: VERSION,
+        c: trip.city,
+        b: trip.budget,
+        m: trip.currency || undefined,
+        s: trip.startDate || undefined,
+        t: trip.startTime || undefined,
+        l: trip.legs || undefined,
+        f: trip.preferences || undefined,
+        h: trip.stays || undefined,
+        e: trip.meals || undefined,
+        d: selection.day ?? 0,
+        p: selection.place ?? undefined,
+        i: trip.itinerary,
+    };
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+
+    if (compress) {
+        return `${COMPRESSED}.${toBase64Url(await pipeBytes(bytes, new CompressionStream("deflate-raw")))}`;
+    }
+    return `${PLAIN}.${toBase64Url(bytes)}`;
+}
+
+/**
+ * Decodes a share hash value back into
+ * { city, budget, currency, startDate, startTime, legs, preferences, stays, meals, itinerary, selectedDay,
+ * selectedPlace }.
+ * Trip settings go through normalizeTripFields, so malformed ones come back
+ * undefined. Throws ShareLinkError when the link is damaged or cannot be read here.
+ */
+export async function decodeSharePayload(value) {
+    const [scheme, data] = String(value || "").split(".");
+    if (!data || (scheme !== COMPRESSED && scheme !== PLAIN)) {
+        throw new ShareLinkError("This share link is incomplete. Ask for the link again.");
+    }
+    if (scheme === COMPRESSED && typeof DecompressionStream !== "function") {
+        throw new ShareLinkError("This browser cannot open compressed share links. Try a recent Chrome, Firefox or Safari.");
+    }
+
+    let payload;
+    try {
+        let bytes = fromBase64Url(data);
+        if (scheme === COMPRESSED) bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+        payload = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (err) {
+        throw new ShareLinkError("This share link is damaged and could not be read.", { cause: err });
+    }
+
+    if (payload?.v !== VERSION || typeof payload.c !== "string" || !Array.isArray(payload.i)) {
+        throw new ShareLinkError("This share link was made by a different version of the app.");
+    }
+    const errors = validateDraftItinerary(payload.i);
+    if (errors.length) {
+        throw new ShareLinkError(`The shared itinerary is invalid:\n${formatValidationErrors(errors)}`);
+    }
+
+    const selectedDay = Number.isInteger(payload.d) && payload.i[payload.d] ? payload.d : 0;
+    const stops = payload.i[selectedDay]?.itinerary || [];
+    return {
+        city: payload.c,
+        ...normalizeTripFields({
+            budget: payload.b,
+            currency: payload.m,
+            startDate: payload.s,
+            legs: payload.l,
+            preferences: payload.f,
+            stays: payload.h,
+            meals: payload.e,
+            startTime: payload.t,
+        }),
+        itinerary: payload.i,
+        selectedDay,
+        selectedPlace: Number.isInteger(payload.p) && stops[payload.p] ? payload.p : null,
+    };
+}
+
+/**
+ * Reads the share value out of a location hash such as "#share=z.abc".
+ */
+export function readShareHash(hash) {
+    return new URLSearchParams(String(hash || "").replace(/^#/, "")).get(HASH_KEY);
+}
+
+export function buildShareUrl(origin, tripId, value) {
+    return `${origin}/trip/${encodeURIComponent(tripId || "shared")}#${HASH_KEY}=${value}`;
+}
@@ -0,0 +1,84 @@
+import { encodeSharePayload, decodeSharePayload, readShareHash, buildShareUrl } from './shareLink';
+
+const trip = {
+  city: 'Kraków',
+  budget: 900,
+  startDate: '2026-11-01',
+  itinerary: [
+    {
+      title: 'Day 1: Old Town',
+      itinerary: [
+        { name: 'Wawel Castle', description: 'Royal castle — ₹ and ł survive', location: { lat: 50.054, lng: 19.9354 } },
+        { name: 'Rynek Główny', description: '', location: { lat: 50.0617, lng: 19.9373 } },
+      ],
+    },
+    { title: 'Day 2: Kazimierz', itinerary: [{ name: 'Synagogue', description: 'Old', location: { lat: 50.051, lng: 19.948 } }] },
+  ],
+};
+
+test('round-trips a trip and its selection through the URL hash', async () => {
+  const value = await encodeSharePayload(trip, { day: 0, place: 1 }, { compress: false });
+  const url = buildShareUrl('https://example.com', 'abc', value);
+
+  expect(url.startsWith('https://example.com/trip/abc#share=j.')).toBe(true);
+  expect(url.split('#share=')[1]).toMatch(/^[\w.-]+$/);
+
+  const decoded = await decodeSharePayload(readShareHash(new URL(url).hash));
+  expect(decoded.city).toBe('Kraków');
+  expect(decoded.budget).toBe(900);
+  expect(decoded.startDate).toBe('2026-11-01');
+  expect(decoded.itinerary).toEqual(trip.itinerary);
+  expect(decoded.selectedDay).toBe(0);
+  expect(decoded.selectedPlace).toBe(1);
+});
+
+test('drops a selection that points outside the itinerary', async () => {
+  const value = await encodeSharePayload(trip, { day: 5, place: 9 }, { compress: false });
+  const decoded = await decodeSharePayload(value);
+
+  expect(decoded.selectedDay).toBe(0);
+  expect(decoded.selectedPlace).toBeNull();
+});
+
+test('rejects damaged or unsupported links', async () => {
+  await expect(decodeSharePayload('j.not-json')).rejects.toMatchObject({ name: 'ShareLinkError' });
+  await expect(decodeSharePayload('x.abc')).rejects.toMatchObject({ name: 'ShareLinkError' });
+  await expect(decodeSharePayload(undefined)).rejects.toMatchObject({ name: 'ShareLinkError' });
+});
+
+// A hand-written (uncompressed) link, for payloads the app would never encode
+const rawLink = (fields) =>
+  `j.${Buffer.from(JSON.stringify({ v: 1, c: 'Kraków', i: trip.itinerary, ...fields })).toString('base64url')}`;
+
+test.each([
+  ['currency', 'PLN'],
+  ['startTime', '08:30'],
+  ['legs', [{ city: 'Kraków', nights: 2 }, { city: 'Warsaw', nights: 1 }]],
+  ['preferences', { interests: ['food'], pace: 'relaxed', style: '', dietary: ['vegan'], accessibility: [] }],
+  ['stays', { base: { name: 'Base Inn', price: 'PLN 300/night', location: { lat: 50.06, lng: 19.94 } }, nights: {} }],
+  ['meals', { 1: { dinner: 'Pod Baranem' } }],
+])('carries the trip %s', async (field, value) => {
+  const decoded = await decodeSharePayload(await encodeSharePayload({ ...trip, [field]: value }, {}, { compress: false }));
+
+  expect(decoded[field]).toEqual(value);
+});
+
+test.each([
+  ['budget', { b: 'lots' }, undefined],
+  ['currency', { m: { code: 'EUR' } }, undefined],
+  ['startDate', { s: 'next week' }, undefined],
+  ['legs', { l: [{ city: 'Kraków', nights: '2' }, { city: 3, nights: 1 }] }, undefined],
+  [
+    'preferences',
+    { f: { dietary: 'vegan', pace: 'warp', interests: ['food', 'poetry'] } },
+    { interests: ['food'], pace: 'balanced', style: '', dietary: [], accessibility: [] },
+  ],
+  ['stays', { h: { base: 'Hotel Roma', nights: { 1: { name: 'Palazzo' } } } }, { base: null, nights: {} }],
+  ['meals', { e: { 1: { dinner: ['Pod Baranem'] } } }, {}],
+  ['startTime', { t: 'abc' }, undefined],
+])('drops a malformed %s', async (field, fields, expected) => {
+  const decoded = await decodeSharePayload(rawLink(fields));
+
+  expect(decoded[field]).toEqual(expected);
+  expect(decoded.itinerary).toEqual(trip.itinerary);
+});
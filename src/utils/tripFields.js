@@ -0,0 +1,44 @@
+// src/utils/tripFields.js
+// Trip settings arrive from share links, imported files and the saved library,
+// none of which can be trusted to have the right shape. Each field is checked
+// here, once; a malformed value is dropped as if it had never been set.
+import { CURRENCIES } from "./currency";
+import { normalizeStays } from "./hotels";
+import { normalizeMealPins } from "./meals";
+import { normalizePreferences } from "./preferences";
+import { isClockTime } from "./scheduler";
+import { MAX_LEG_NIGHTS } from "./tripLegs";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isKey = (value, table) => typeof value === "string" && Object.prototype.hasOwnProperty.call(table, value);
+
+const isValidLeg = (leg) =>
+    typeof leg?.city === "string" &&
+    leg.city.trim() !== "" &&
+    Number.isInteger(leg.nights) &&
+    leg.nights >= 1 &&
+    leg.nights <= MAX_LEG_NIGHTS;
+
+/**
+ * Picks the trip settings out of `raw` and validates them:
+ * { budget, currency, legs, meals, preferences, startDate, startTime, stays }. Unset or
+ * malformed fields come back undefined; malformed hotels and meal pins are
+ * dropped from `stays` and `meals`.
+ */
+export function normalizeTripFields(raw) {
+    const trip = raw && typeof raw === "object" ? raw : {};
+    return {
+        budget: Number.isFinite(trip.budget) && trip.budget >= 0 ? trip.budget : undefined,
+        currency: isKey(trip.currency, CURRENCIES) ? trip.currency : undefined,
+        legs:
+            Array.isArray(trip.legs) && trip.legs.length && trip.legs.every(isValidLeg)
+                ? trip.legs.map(({ city, nights }) => ({ city, nights }))
+                : undefined,
+        meals: trip.meals && typeof trip.meals === "object" ? normalizeMealPins(trip.meals) : undefined,
+        preferences: trip.preferences ? normalizePreferences(trip.preferences) : undefined,
+        startDate: typeof trip.startDate === "string" && DATE_PATTERN.test(trip.startDate) ? trip.startDate : undefined,
+        startTime: isClockTime(trip.startTime) ? trip.startTime : undefined,
+        stays: trip.stays && typeof trip.stays === "object" ? normalizeStays(trip.stays) : undefined,
+    };
+}
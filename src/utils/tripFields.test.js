@@ -0,0 +1,30 @@
+import { normalizeTripFields } from './tripFields';
+
+test('keeps well-formed trip settings', () => {
+  const legs = [{ city: 'Rome', nights: 2 }, { city: 'Florence', nights: 1 }];
+
+  expect(normalizeTripFields({ budget: 900, currency: 'EUR', legs, startDate: '2026-11-01', preferences: { pace: 'packed' } })).toEqual({
+    budget: 900,
+    currency: 'EUR',
+    legs,
+    startDate: '2026-11-01',
+    preferences: { interests: [], pace: 'packed', style: '', dietary: [], accessibility: [] },
+  });
+});
+
+test('drops malformed settings instead of passing them on', () => {
+  const fields = normalizeTripFields({ budget: -5, currency: 'toString', legs: [{ city: '', nights: 1 }], startDate: 20261101 });
+
+  expect(fields).toEqual({
+    budget: undefined,
+    currency: undefined,
+    legs: undefined,
+    startDate: undefined,
+    preferences: undefined,
+  });
+  expect(normalizeTripFields(null).legs).toBeUndefined();
+  expect(normalizeTripFields({ legs: 'Rome' }).legs).toBeUndefined();
+  expect(normalizeTripFields({ stays: { base: { name: 'Inn' } } }).stays).toEqual({ base: null, nights: {} });
+  expect(normalizeTripFields({ meals: { 0: { dinner: 42 } } }).meals).toEqual({});
+  expect(normalizeTripFields({ startTime: '25:00' }).startTime).toBeUndefined();
+});
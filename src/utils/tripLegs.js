@@ -0,0 +1,56 @@
+// src/utils/tripLegs.js
+// A multi-city trip is a list of legs ({ city, nights }). Every night is one
+// day in that city, and the first day in each city after the first is a
+// transfer day that starts with the journey from the previous city.
+
+export const MAX_TRIP_DAYS = 21;
+export const MAX_LEG_NIGHTS = 14;
+
+export const isMultiCity = (legs) => Array.isArray(legs) && legs.length > 1;
+
+export function totalNights(legs = []) {
+    return legs.reduce((sum, leg) => sum + (Number(leg.nights) || 0), 0);
+}
+
+/**
+ * "Tokyo → Kyoto → Osaka"
+ */
+export function legsTitle(legs = []) {
+    return legs.map((leg) => leg.city.trim()).join(" → ");
+}
+
+/**
+ * One entry per day: { day, city, transfer } where transfer is { from, to }
+ * on the first day in a new city and null otherwise.
+ */
+export function planDays(legs = []) {
+    const plan = [];
+    legs.forEach((leg, legIndex) => {
+        const city = leg.city.trim();
+        for (let night = 0; night < Number(leg.nights); night++) {
+            plan.push({
+                day: plan.length + 1,
+                city,
+                transfer:
+                    legIndex > 0 && night === 0 ? { from: legs[legIndex - 1].city.trim(), to: city } : null,
+            });
+        }
+    });
+    return plan;
+}
+
+/**
+ * Returns a message describing the first problem with `legs`, or null.
+ */
+export function validateLegs(legs = []) {
+    if (legs.length < 2) return "Add at least two cities for a multi-city trip";
+    for (let i = 0; i < legs.length; i++) {
+        const nights = Number(legs[i].nights);
+        if (!legs[i].city?.trim()) return `Enter a name for city ${i + 1}`;
+        if (!Number.isInteger(nights) || nights < 1 || nights > MAX_LEG_NIGHTS) {
+            return `Nights in ${legs[i].city.trim()} must be between 1 and ${MAX_LEG_NIGHTS}`;
+        }
+    }
+    if (totalNights(legs) > MAX_TRIP_DAYS) return `A trip can have at most ${MAX_TRIP_DAYS} days`;
+    return null;
+}
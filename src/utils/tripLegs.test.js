@@ -0,0 +1,26 @@
+import { planDays, legsTitle, totalNights, validateLegs } from './tripLegs';
+
+const legs = [
+  { city: 'Tokyo', nights: 3 },
+  { city: ' Kyoto ', nights: 2 },
+  { city: 'Osaka', nights: 2 },
+];
+
+test('plans one day per night with transfer days between cities', () => {
+  const plan = planDays(legs);
+
+  expect(plan).toHaveLength(totalNights(legs));
+  expect(plan.map((d) => d.city)).toEqual(['Tokyo', 'Tokyo', 'Tokyo', 'Kyoto', 'Kyoto', 'Osaka', 'Osaka']);
+  expect(plan[0].transfer).toBeNull();
+  expect(plan[3].transfer).toEqual({ from: 'Tokyo', to: 'Kyoto' });
+  expect(plan[5]).toEqual({ day: 6, city: 'Osaka', transfer: { from: 'Kyoto', to: 'Osaka' } });
+  expect(legsTitle(legs)).toBe('Tokyo → Kyoto → Osaka');
+});
+
+test('reports the first problem with the legs', () => {
+  expect(validateLegs(legs)).toBeNull();
+  expect(validateLegs([legs[0]])).toMatch(/at least two cities/);
+  expect(validateLegs([legs[0], { city: '', nights: 2 }])).toMatch(/city 2/);
+  expect(validateLegs([legs[0], { city: 'Nara', nights: 0 }])).toMatch(/Nara/);
+  expect(validateLegs([legs[0], { city: 'Nara', nights: 14 }, { city: 'Kobe', nights: 5 }])).toMatch(/at most 21/);
+});